@@ -0,0 +1,476 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./errors');
+const { runStrategyIsolated, runPortfolioIsolated } = require('./sandbox');
+const { DATA_PATH, parseTimeframe, candleFilePath, seriesModifiedAt, seriesRowCount, readCandleSeries, loadAggregatedCandles } = require('./candles');
+const { cacheKey, cachedSeries, sliceRange } = require('./cache');
+const { computePerformance, findMetricMismatches, computeBenchmark, runMonteCarlo, checkMonteCarloOptions } = require('./metrics');
+const { lookaheadCutoff, checkLookahead } = require('./lookahead');
+
+const STRATEGY_API_URL = 'https://cointop10-api.cointop10-com.workers.dev/api/strategy';
+
+// 엔진(onCandle)만 강제하는 리스크/필터 설정 → 레거시 runStrategy에서는 무시됨
+const ENGINE_RISK_SETTINGS = [
+  'maxDrawdown', 'maxDailyLoss', 'maxConsecutiveLosses', 'maxDailyTrades', 'maxWeeklyTrades',
+  'avoidWeekends', 'avoidMonday', 'avoidFriday', 'sessionStart', 'sessionEnd', 'tradingHours', 'volumeFilter'
+];
+
+// 1. Workers API에서 js_code(+ parameters 스키마) 가져오기 + 정제
+async function fetchStrategy(strategyId) {
+  console.log('📡 Fetching strategy code...');
+  const strategyRes = await fetch(`${STRATEGY_API_URL}/${strategyId}`);
+
+  if (!strategyRes.ok) {
+    throw httpError(404, 'Strategy not found');
+  }
+
+  let { js_code, parameters } = await strategyRes.json();
+
+  if (!js_code) {
+    throw httpError(404, 'Strategy has no code');
+  }
+
+  // 코드 정제 (Markdown 제거)
+  js_code = js_code
+    .replace(/^Here's.*?:\s*/i, '')
+    .replace(/^The.*?:\s*/i, '')
+    .replace(/^This.*?:\s*/i, '')
+    .replace(/```javascript\n?/g, '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  // onCandle (신규 시그널 계약) 또는 runStrategy (레거시) 함수가 있는지 확인
+  if (!js_code.includes('function onCandle') && !js_code.includes('function runStrategy')) {
+    throw httpError(400, 'Invalid strategy code: missing onCandle or runStrategy function');
+  }
+
+  // parameters는 문자열(JSON)로 저장된 경우도 있음
+  if (typeof parameters === 'string') {
+    try {
+      parameters = JSON.parse(parameters);
+    } catch (e) {
+      parameters = {};
+    }
+  }
+
+  console.log('✅ Strategy code loaded and cleaned');
+  return { jsCode: js_code, parameters: parameters || {} };
+}
+
+// 2~5. Volume에서 캔들 로드 → 파싱 → 날짜 필터링
+// 미리 만든 {symbol}_{timeframe}.csv가 없으면 1분봉에서 집계 (2h / 8h / 3d / 1w / 1M 등)
+// 바이너리(.bin)가 있으면 날짜 구간만 잘라 읽고, 없으면 CSV를 줄 단위로 스트리밍 (시간 인덱스로 시작 위치 탐색)
+// limit: 구간 앞에서부터 최대 캔들 수 (캔들 조회 페이지, 그만큼만 읽고 중단)
+function loadCandles(settings, limit = Infinity) {
+  if (!parseTimeframe(settings.timeframe)) {
+    throw httpError(400, `Unsupported timeframe: ${settings.timeframe}`);
+  }
+
+  const filePath = candleFilePath(settings.market_type, settings.symbol, settings.timeframe);
+  const range = {
+    startTs: new Date(settings.startDate).getTime(),
+    endTs: new Date(settings.endDate).getTime(),
+    limit
+  };
+  let candles;
+  let source;
+
+  console.log('📡 Reading candles from Volume:', filePath);
+
+  // 전체 시리즈는 메모리 캐시(LRU)에서, 캐시하기엔 너무 크면 날짜 구간만 파일에서
+  const key = cacheKey(settings.market_type, `${settings.symbol}_${settings.timeframe}`);
+  const modifiedAt = seriesModifiedAt(filePath);
+
+  if (modifiedAt !== null) {
+    const all = cachedSeries(key, modifiedAt, seriesRowCount(filePath), () => readCandleSeries(filePath));
+    candles = all ? sliceRange(all, range.startTs, range.endTs, limit) : readCandleSeries(filePath, range);
+    source = 'pre-built';
+  } else {
+    const sourceModifiedAt = seriesModifiedAt(candleFilePath(settings.market_type, settings.symbol, '1m'));
+    if (sourceModifiedAt === null) {
+      throw httpError(404, `Candle file not found: ${settings.symbol}`);
+    }
+    const all = cachedSeries(key, sourceModifiedAt, 0,
+      () => loadAggregatedCandles(settings.market_type, settings.symbol, settings.timeframe),
+      { aggregated: true });
+    candles = sliceRange(all, range.startTs, range.endTs, limit);
+    source = 'aggregated from 1m';
+  }
+
+  console.log('✅ Filtered:', candles.length, 'candles');
+  console.log('✅ Using', source, settings.timeframe, ':', candles.length, 'candles');
+
+  return candles;
+}
+
+// 펀딩비 파일: 캔들 CSV 옆 {symbol}_funding.csv (timestamp,rate — rate는 소수, 0.0001 = 0.01%)
+// 캔들 구간에 해당하는 [timestamp, rate] 목록, 파일이 없으면 null (fundingRate 상수 사용)
+function loadFundingRates(settings, candles) {
+  if (settings.market_type === 'spot' || candles.length === 0) return null;
+
+  const filePath = path.join(DATA_PATH, settings.market_type, `${settings.symbol}_funding.csv`);
+  if (!fs.existsSync(filePath)) return null;
+
+  const first = candles[0].timestamp;
+  const last = candles[candles.length - 1].timestamp;
+  const rates = fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .map(line => line.split(','))
+    .map(([timestamp, rate]) => [parseInt(timestamp), parseFloat(rate)])
+    .filter(([timestamp, rate]) => Number.isFinite(timestamp) && Number.isFinite(rate))
+    .filter(([timestamp]) => timestamp > first && timestamp <= last)
+    .sort((a, b) => a[0] - b[0]);
+
+  console.log('✅ Funding rates loaded:', rates.length, 'from', filePath);
+  return rates;
+}
+
+// intrabarFills: 같은 구간 1분봉 (상위 타임프레임 캔들 안의 실제 가격 경로)
+// 1분봉 파일이 없거나 이미 1m이면 null → 엔진은 캔들 OHLC로 체결
+function loadPathCandles(settings, candles) {
+  if (!settings.intrabarFills || settings.timeframe === '1m' || candles.length === 0) return null;
+
+  const last = candles[candles.length - 1];
+  const span = candles.length > 1 ? last.timestamp - candles[candles.length - 2].timestamp : 0;
+
+  try {
+    return loadCandles({
+      ...settings,
+      timeframe: '1m',
+      startDate: candles[0].timestamp,
+      endDate: last.timestamp + span - 1
+    });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    console.log('⚠️ intrabarFills: no 1m candles for', settings.symbol, '- using candle OHLC');
+    return null;
+  }
+}
+
+// 6. 커뮤니티 전략 기본 파라미터 설정
+function buildCommunitySettings(settings) {
+  return {
+    ...settings,
+
+    // ========== POSITION SIZING ==========
+    leverage: settings.leverage || 10,
+    equityPercent: settings.equityPercent || 10,
+    compoundEnabled: settings.compoundEnabled || false,
+    maxPositionSize: settings.maxPositionSize || 10000000,
+
+    // ========== FUTURES ==========
+    // 유지증거금률 %, 펀딩비 % (펀딩비 파일이 없을 때) / fundingInterval 시간마다
+    maintenanceMarginRate: settings.maintenanceMarginRate ?? 0.5,
+    fundingRate: settings.fundingRate ?? 0.01,
+    fundingInterval: settings.fundingInterval || 8,
+
+    // ========== RISK MANAGEMENT ==========
+    stopLoss: settings.stopLoss || null,
+    stopLossPercent: settings.stopLossPercent || null,
+    stopLossPoints: settings.stopLossPoints || null,
+    stopLossATR: settings.stopLossATR || null,
+
+    takeProfit: settings.takeProfit || null,
+    takeProfitPercent: settings.takeProfitPercent || null,
+    takeProfitPoints: settings.takeProfitPoints || null,
+    takeProfitATR: settings.takeProfitATR || null,
+
+    trailingStop: settings.trailingStop || null,
+    trailingStopPercent: settings.trailingStopPercent || null,
+    trailingStopDistance: settings.trailingStopDistance || null,
+    trailingStopTrigger: settings.trailingStopTrigger || null,
+
+    breakEvenEnabled: settings.breakEvenEnabled || false,
+    breakEvenTrigger: settings.breakEvenTrigger || null,
+    breakEvenOffset: settings.breakEvenOffset || 0,
+
+    // 낙폭 % 도달 시 청산 + 신규 진입 중단 (null / 0 = 사용 안 함)
+    maxDrawdown: settings.maxDrawdown ?? null,
+    maxDailyLoss: settings.maxDailyLoss || null,
+    maxConsecutiveLosses: settings.maxConsecutiveLosses || null,
+
+    // ========== PARTIAL CLOSE ==========
+    partialCloseEnabled: settings.partialCloseEnabled || false,
+    partialClosePercent: settings.partialClosePercent || 50,
+    partialCloseTrigger: settings.partialCloseTrigger || null,
+    partialClose2Enabled: settings.partialClose2Enabled || false,
+    partialClose2Percent: settings.partialClose2Percent || 25,
+    partialClose2Trigger: settings.partialClose2Trigger || null,
+
+    // ========== SCALING ==========
+    scalingInEnabled: settings.scalingInEnabled || false,
+    scalingInLevels: settings.scalingInLevels || 3,
+    scalingInDistance: settings.scalingInDistance || null,
+
+    scalingOutEnabled: settings.scalingOutEnabled || false,
+    scalingOutLevels: settings.scalingOutLevels || 3,
+    scalingOutDistance: settings.scalingOutDistance || null,
+
+    // ========== MARTINGALE & RECOVERY ==========
+    martingaleEnabled: settings.martingaleEnabled || false,
+    martingaleMultiplier: settings.martingaleMultiplier || 2.0,
+    maxMartingaleLevel: settings.maxMartingaleLevel || 5,
+    martingaleOnLoss: settings.martingaleOnLoss !== false,
+
+    antiMartingaleEnabled: settings.antiMartingaleEnabled || false,
+    antiMartingaleMultiplier: settings.antiMartingaleMultiplier || 1.5,
+
+    recoveryEnabled: settings.recoveryEnabled || false,
+    recoveryTarget: settings.recoveryTarget || 100,
+    recoveryMethod: settings.recoveryMethod || 'grid',
+
+    // ========== POSITION LIMITS ==========
+    maxPositions: settings.maxPositions || 1,
+    maxLongPositions: settings.maxLongPositions || null,
+    maxShortPositions: settings.maxShortPositions || null,
+    maxDailyTrades: settings.maxDailyTrades || null,
+    maxWeeklyTrades: settings.maxWeeklyTrades || null,
+
+    // ========== DIRECTION CONTROL ==========
+    masterLongEnabled: settings.masterLongEnabled !== false,
+    masterShortEnabled: settings.masterShortEnabled !== false,
+    masterReverse: settings.masterReverse || false,
+
+    // ========== TIME FILTERS ==========
+    tradingHours: settings.tradingHours || null,
+    sessionStart: settings.sessionStart || null,
+    sessionEnd: settings.sessionEnd || null,
+    avoidWeekends: settings.avoidWeekends || false,
+    avoidMonday: settings.avoidMonday || false,
+    avoidFriday: settings.avoidFriday || false,
+
+    // ========== FILTERS ==========
+    volumeFilter: settings.volumeFilter || 0,
+    volatilityFilter: settings.volatilityFilter || null,
+    spreadFilter: settings.spreadFilter || null,
+    trendFilter: settings.trendFilter || null,
+    priceFilter: settings.priceFilter || null,
+
+    atrPeriod: settings.atrPeriod || 14,
+    atrMultiplier: settings.atrMultiplier || 2.0,
+
+    // ========== HEDGING & GRID ==========
+    hedgingEnabled: settings.hedgingEnabled || false,
+    hedgingDistance: settings.hedgingDistance || null,
+    hedgingMultiplier: settings.hedgingMultiplier || 1.0,
+
+    gridTradingEnabled: settings.gridTradingEnabled || false,
+    gridLevels: settings.gridLevels || 5,
+    gridDistance: settings.gridDistance || null,
+
+    // ========== PYRAMIDING ==========
+    pyramidingEnabled: settings.pyramidingEnabled || false,
+    pyramidingLevels: settings.pyramidingLevels || 3,
+    pyramidingDistance: settings.pyramidingDistance || null,
+    pyramidingMultiplier: settings.pyramidingMultiplier || 1.0,
+
+    // ========== FEE ==========
+    feePercent: settings.feePercent || (settings.market_type === 'spot' ? 0.1 : 0.05),
+
+    // ========== OTHERS ==========
+    slippage: settings.slippage || 0,
+    intrabarFills: settings.intrabarFills || false,
+    orderTimeout: settings.orderTimeout || null,
+    requireConfirmation: settings.requireConfirmation || false,
+
+    newsFilterEnabled: settings.newsFilterEnabled || false,
+    newsAvoidMinutes: settings.newsAvoidMinutes || 30,
+
+    minCandlesRequired: settings.minCandlesRequired || 50,
+    warmupPeriod: settings.warmupPeriod || 100
+  };
+}
+
+// 전략 반환값 → 프론트가 기대하는 결과 형태로 정규화
+// 요약 통계는 전략이 보고한 값을 믿지 않고 trades / equity_curve로 다시 계산한다
+// candles를 넘기면 같은 구간 buy & hold 벤치마크도 붙인다
+function normalizeResult(backtestResult, settings, candles) {
+  // 레거시 runStrategy 결과만 잔고 없는 행을 걸러냄 (엔진 거래는 잔고가 0이 된 강제청산도 포함해야 함)
+  const rawTrades = backtestResult.trades || [];
+  const trades = (backtestResult.engine === 'proxy' ? rawTrades : rawTrades.filter(t => t.balance && t.balance > 0))
+    .map(t => {
+      // 커뮤니티 전략: size는 코인 개수!
+      const coinSize = t.size || 0;
+      const usdtSize = t.entry_price && coinSize ? coinSize * t.entry_price : 0;
+
+      // order_type에 side 정보 추가
+      let orderType = t.order_type || 'MARKET';
+      const side = t.side ? t.side.toUpperCase() : null;
+
+      if (side && !orderType.includes('BUY') && !orderType.includes('SELL')) {
+        const prefix = side === 'LONG' ? 'BUY' : 'SELL';
+        orderType = `${prefix} ${orderType}`;
+      }
+
+      return {
+        ...t,
+        coin_size: coinSize ? parseFloat(coinSize.toFixed(8)) : 0,
+        usdt_size: usdtSize ? parseFloat(usdtSize.toFixed(2)) : 0,
+        order_type: orderType,
+        side: side
+      };
+    });
+
+  const equityCurve = backtestResult.equity_curve || [];
+  const ledger = backtestResult.ledger || [];
+  const initialBalance = settings.initialBalance || 10000;
+  const performance = computePerformance(trades, equityCurve, initialBalance);
+  const mismatches = findMetricMismatches(backtestResult, performance);
+
+  if (mismatches.length > 0) {
+    console.log('⚠️ Reported metrics differ from recomputed:', mismatches.map(m => m.field).join(', '));
+  }
+
+  return {
+    trades,
+    equity_curve: equityCurve,
+    ...performance,
+    initial_balance: initialBalance,
+    symbol: settings.symbol,
+    timeframe: settings.timeframe,
+    benchmark: candles ? computeBenchmark(candles, equityCurve, initialBalance, buildCommunitySettings(settings).feePercent) : null,
+    // 전략이 직접 보고한 값과 다른 항목 (있으면 전략 코드의 통계 계산이 틀린 것)
+    metric_mismatches: mismatches,
+    // 엔진이 강제한 리스크 규칙 (레거시 runStrategy는 전략이 직접 관리 → 설정했어도 적용 안 된 항목 표시)
+    risk: backtestResult.risk || { enforced: false, ignored_settings: ENGINE_RISK_SETTINGS.filter(key => settings[key]) },
+    // 펀딩 정산 / 강제청산 내역 (거래 pnl에도 반영됨)
+    ledger,
+    funding_source: backtestResult.funding_source || null,
+    total_funding: parseFloat(ledger.filter(e => e.type === 'funding').reduce((sum, e) => sum + e.amount, 0).toFixed(2)),
+    liquidations: ledger.filter(e => e.type === 'liquidation').length,
+    // 1분봉 경로로 결정한 체결 수 (intrabarFills)
+    intrabar: backtestResult.intrabar || null
+  };
+}
+
+// 7. 격리된 샌드박스에서 실행 (에러 핸들링)
+// 지표 함수와 communitySettings는 샌드박스 전역으로만 노출된다
+// 워커 스레드에서 돌기 때문에 실행 중에도 다른 요청은 계속 처리됨
+async function executeStrategy(jsCode, candles, communitySettings, options = {}) {
+  try {
+    const fundingRates = loadFundingRates(communitySettings, candles);
+    const runSettings = fundingRates ? { ...communitySettings, fundingRates } : communitySettings;
+    const pathCandles = loadPathCandles(communitySettings, candles);
+    const backtestResult = await runStrategyIsolated(jsCode, candles, runSettings, { ...options, pathCandles });
+
+    if (!backtestResult || !backtestResult.trades) {
+      throw new Error('Invalid backtest result: missing trades array');
+    }
+
+    return backtestResult;
+  } catch (evalError) {
+    throw executionError(evalError, jsCode);
+  }
+}
+
+// 포트폴리오(공유 잔고) 실행: legs: [{ jsCode, candles, communitySettings }] → { legs: [엔진 결과], equity_curve, final_balance }
+async function executePortfolio(legs, initialBalance, options = {}) {
+  try {
+    const runLegs = legs.map(({ jsCode, candles, communitySettings }) => {
+      const fundingRates = loadFundingRates(communitySettings, candles);
+      return {
+        jsCode,
+        candles,
+        settings: fundingRates ? { ...communitySettings, fundingRates } : communitySettings,
+        pathCandles: loadPathCandles(communitySettings, candles)
+      };
+    });
+    return await runPortfolioIsolated(runLegs, initialBalance, options);
+  } catch (evalError) {
+    throw executionError(evalError, legs.map(leg => leg.jsCode).join('\n'));
+  }
+}
+
+function executionError(evalError, jsCode) {
+  // 시간/메모리 한도 초과 → 구조화된 에러 (몇 개 캔들까지 처리했는지 포함)
+  if (evalError.code === 'timeout' || evalError.code === 'out_of_memory') {
+    console.error(`❌ Strategy ${evalError.code}:`, evalError.candles_processed, '/', evalError.total_candles, 'candles');
+    return httpError(422, evalError.message, {
+      code: evalError.code,
+      candles_processed: evalError.candles_processed,
+      total_candles: evalError.total_candles,
+      limit_ms: evalError.limit_ms,
+      limit_mb: evalError.limit_mb
+    });
+  }
+  if (evalError.code === 'legacy_strategy') {
+    return httpError(400, evalError.message, { code: evalError.code });
+  }
+
+  console.error('❌ Strategy execution error:', evalError);
+  return httpError(500, 'Strategy execution failed: ' + evalError.message, {
+    stack: evalError.stack,
+    code_preview: jsCode.substring(0, 500)
+  });
+}
+
+// 커뮤니티 백테스트 전체 흐름 (코드 로드 → 캔들 로드 → 실행 → 정규화)
+// options.onProgress: ({ candles_processed, total_candles }) 진행 상황 콜백
+// options.monteCarlo: { iterations, method, slippage_jitter, ruin_threshold, seed } → result.monte_carlo
+// options.lookaheadCheck: false면 룩어헤드 검사 생략 (기본은 검사 → result.lookahead + result.warnings)
+async function runBacktest(strategyId, settings, options = {}) {
+  console.log('🔵 Community backtest start');
+  console.log('📊 Strategy:', strategyId);
+  console.log('📊 Symbol:', settings.symbol);
+  console.log('📊 Period:', settings.startDate, '→', settings.endDate);
+
+  const monteCarlo = options.monteCarlo;
+  if (monteCarlo) checkMonteCarloOptions(monteCarlo);
+
+  const { jsCode } = await fetchStrategy(strategyId);
+  const candles = loadCandles(settings);
+  const communitySettings = buildCommunitySettings(settings);
+
+  const cut = options.lookaheadCheck === false ? null : lookaheadCutoff(candles.length);
+  const backtestResult = await executeStrategy(jsCode, candles, communitySettings, {
+    onProgress: options.onProgress,
+    lookahead: cut ? { recordUntil: cut } : null
+  });
+
+  const result = normalizeResult(backtestResult, settings, candles);
+
+  console.log('✅ Backtest complete');
+  console.log('📊 ROI:', result.roi + '%');
+  console.log('📊 Trades:', result.total_trades);
+  result.warnings = [];
+
+  if (!result.risk.enforced && result.risk.ignored_settings.length > 0) {
+    console.log('⚠️ runStrategy strategy - risk settings not enforced:', result.risk.ignored_settings.join(', '));
+    result.warnings.push(`runStrategy strategies manage their own risk; not enforced: ${result.risk.ignored_settings.join(', ')}`);
+  }
+
+  if (cut) {
+    const run = (slice, lookahead) => executeStrategy(jsCode, slice, communitySettings, { lookahead });
+    result.lookahead = await checkLookahead(run, candles, backtestResult, cut);
+    result.warnings.push(...result.lookahead.findings.map(f => `Lookahead bias: ${f.message}`));
+    if (result.lookahead.detected) {
+      console.log('⚠️ Lookahead detected:', result.lookahead.findings.map(f => f.type).join(', '));
+    }
+  } else {
+    result.lookahead = { checked: false };
+  }
+
+  if (monteCarlo) {
+    result.monte_carlo = runMonteCarlo(result.trades, result.initial_balance, monteCarlo);
+    console.log('📊 Monte Carlo:', result.monte_carlo.iterations, 'runs, risk of ruin', result.monte_carlo.risk_of_ruin + '%');
+    if (result.monte_carlo.iterations < result.monte_carlo.iterations_requested) {
+      result.warnings.push(`Monte Carlo limited to ${result.monte_carlo.iterations} iterations for ${result.monte_carlo.trades} trades`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DATA_PATH,
+  fetchStrategy,
+  loadCandles,
+  loadFundingRates,
+  loadPathCandles,
+  buildCommunitySettings,
+  normalizeResult,
+  executeStrategy,
+  executePortfolio,
+  runBacktest
+};
@@ -0,0 +1,117 @@
+// 파싱된 캔들 시리즈 LRU 캐시 (market/symbol_timeframe 단위, 전체 기간)
+// 같은 종목을 여러 사용자가 백테스트해도 파일은 한 번만 읽는다
+// 캐시된 캔들 객체는 요청 간에 공유되므로 수정하지 말 것
+
+// 전체 캐시 크기 (캔들 개수 기준)
+const CANDLE_CACHE_MAX_CANDLES = parseInt(process.env.CANDLE_CACHE_MAX_CANDLES) || 1000000;
+// 한 시리즈가 이보다 크면 캐시하지 않고 매번 날짜 구간만 읽음
+const CANDLE_CACHE_MAX_ENTRY = Math.floor(CANDLE_CACHE_MAX_CANDLES / 4);
+
+// Map 삽입 순서 = 사용 순서 (앞쪽이 가장 오래 안 쓴 항목)
+const entries = new Map();
+const stats = { hits: 0, misses: 0, bypassed: 0, evictions: 0, invalidations: 0 };
+let cachedCandles = 0;
+
+function cacheKey(marketType, name) {
+  return `${marketType}/${name}`;
+}
+
+// 전체 시리즈를 캐시에서 꺼내거나, 없으면 loadAll()로 읽어서 저장
+// modifiedAt: 원본 파일 수정 시각 (다르면 캐시 무효)
+// rowCount가 한 항목 한도를 넘으면 읽지 않고 null → 호출한 쪽에서 날짜 구간만 읽을 것
+function cachedSeries(key, modifiedAt, rowCount, loadAll, meta = {}) {
+  const entry = entries.get(key);
+  if (entry && entry.modified_at === modifiedAt) {
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return entry.candles;
+  }
+
+  if (entry) removeEntry(key);
+  stats.misses++;
+
+  if (rowCount > CANDLE_CACHE_MAX_ENTRY) {
+    stats.bypassed++;
+    return null;
+  }
+
+  // 줄 수를 미리 모르는 경우 (집계 시리즈) 읽은 뒤에 확인
+  const candles = loadAll();
+  if (!candles || candles.length > CANDLE_CACHE_MAX_ENTRY) {
+    stats.bypassed++;
+    return candles;
+  }
+
+  entries.set(key, { candles, modified_at: modifiedAt, cached_at: Date.now(), ...meta });
+  cachedCandles += candles.length;
+
+  for (const oldest of entries.keys()) {
+    if (cachedCandles <= CANDLE_CACHE_MAX_CANDLES || oldest === key) break;
+    removeEntry(oldest);
+    stats.evictions++;
+  }
+  return candles;
+}
+
+function removeEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  cachedCandles -= entry.candles.length;
+  entries.delete(key);
+}
+
+// 업로드로 파일이 바뀌었을 때: 해당 파일 + (1분봉이면) 거기서 집계한 시리즈
+function invalidateCandleCache(marketType, name) {
+  const base = name.endsWith('_1m') ? name.slice(0, -'_1m'.length) : null;
+
+  for (const [key, entry] of [...entries]) {
+    const sameFile = key === cacheKey(marketType, name);
+    const derived = base && entry.aggregated && key.startsWith(cacheKey(marketType, `${base}_`));
+    if (sameFile || derived) {
+      removeEntry(key);
+      stats.invalidations++;
+    }
+  }
+}
+
+// 시간순 캔들 배열에서 [startTs, endTs] 구간 (이진 탐색)
+function sliceRange(candles, startTs, endTs, limit = Infinity) {
+  if (Number.isNaN(startTs) || Number.isNaN(endTs)) return [];
+
+  const lowerBound = (target, inclusive) => {
+    let lo = 0;
+    let hi = candles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (inclusive ? candles[mid].timestamp < target : candles[mid].timestamp <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+
+  const from = lowerBound(startTs, true);
+  return candles.slice(from, Math.min(lowerBound(endTs, false), from + limit));
+}
+
+function candleCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    hit_rate: lookups ? parseFloat((stats.hits / lookups * 100).toFixed(1)) : 0,
+    entries: entries.size,
+    candles: cachedCandles,
+    max_candles: CANDLE_CACHE_MAX_CANDLES,
+    max_entry_candles: CANDLE_CACHE_MAX_ENTRY,
+    series: [...entries].map(([key, entry]) => ({ key, candles: entry.candles.length, cached_at: entry.cached_at }))
+  };
+}
+
+module.exports = {
+  CANDLE_CACHE_MAX_CANDLES,
+  cacheKey,
+  cachedSeries,
+  invalidateCandleCache,
+  sliceRange,
+  candleCacheStats
+};
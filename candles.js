@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTimeframe, bucketStart, convertTimeframe, createSeries } = require('./timeframes');
+
+const DATA_PATH = '/data/candles';
+// 1분봉에서 집계한 타임프레임 캐시 (마켓 디렉토리 밖에 둬서 목록/심볼 검색에 안 섞이게)
+const CACHE_PATH = path.join(DATA_PATH, '.cache');
+const READ_CHUNK_BYTES = 1024 * 1024;
+const INDEX_EVERY_ROWS = 10000;
+
+function candleFilePath(marketType, symbol, timeframe) {
+  return path.join(DATA_PATH, marketType, `${symbol}_${timeframe}.csv`);
+}
+
+// 파일을 청크 단위로 읽어 줄마다 onLine(line, offset) 호출 (false를 반환하면 중단)
+// 파일 전체를 메모리에 올리지 않는다 (CSV는 ASCII라 latin1 = 바이트 오프셋)
+function scanLines(filePath, startOffset, onLine) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let position = startOffset;
+  let carry = '';
+  let carryOffset = startOffset;
+
+  try {
+    while (true) {
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, position);
+      if (bytes === 0) break;
+      position += bytes;
+
+      const text = carry + buffer.toString('latin1', 0, bytes);
+      let lineStart = 0;
+      let newline;
+      while ((newline = text.indexOf('\n', lineStart)) !== -1) {
+        if (onLine(text.slice(lineStart, newline), carryOffset + lineStart) === false) return;
+        lineStart = newline + 1;
+      }
+      carry = text.slice(lineStart);
+      carryOffset += lineStart;
+    }
+    if (carry.trim()) onLine(carry, carryOffset);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// CSV 한 줄 → 캔들 (헤더/빈 줄이면 null)
+function parseCandleLine(line) {
+  const [timestamp, open, high, low, close, volume] = line.split(',');
+  const ts = parseInt(timestamp);
+  if (!Number.isFinite(ts)) return null;
+
+  return {
+    timestamp: ts,
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    volume: parseFloat(volume)
+  };
+}
+
+function timeIndexPath(filePath) {
+  return path.join(CACHE_PATH, 'index', path.relative(DATA_PATH, filePath) + '.idx.json');
+}
+
+// 시간 인덱스: INDEX_EVERY_ROWS 줄마다 [timestamp, 바이트 오프셋]
+// 원본 파일이 바뀌면 (mtime/size) 다시 만든다, 시간순이 아니면 sorted: false → 처음부터 전체 스캔
+function loadTimeIndex(filePath) {
+  const stat = fs.statSync(filePath);
+  const indexPath = timeIndexPath(filePath);
+
+  if (fs.existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      if (index.size === stat.size && index.mtime_ms === stat.mtimeMs) return index;
+    } catch (error) {
+      console.log('⚠️ Rebuilding broken time index:', indexPath);
+    }
+  }
+
+  const index = { size: stat.size, mtime_ms: stat.mtimeMs, rows: 0, sorted: true, entries: [] };
+  let last = -Infinity;
+
+  scanLines(filePath, 0, (line, offset) => {
+    const candle = parseCandleLine(line);
+    if (!candle) return;
+    if (candle.timestamp < last) index.sorted = false;
+    last = candle.timestamp;
+    if (index.rows % INDEX_EVERY_ROWS === 0) index.entries.push([candle.timestamp, offset]);
+    index.rows++;
+  });
+
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+    console.log('✅ Time index built:', indexPath, `(${index.rows} rows)`);
+  } catch (error) {
+    console.log('⚠️ Could not write time index:', error.message);
+  }
+
+  return index;
+}
+
+// CSV (헤더 1줄 + timestamp,open,high,low,close,volume) → 캔들 배열
+// range: { startTs, endTs } 주면 시간 인덱스로 시작 위치를 찾아가서 구간 안의 줄만 파싱 (정렬된 파일은 endTs 지나면 중단)
+// range.limit: 최대 줄 수 (정렬된 파일만, limit줄 읽으면 중단)
+function readCandleFile(filePath, range) {
+  const startTs = range ? range.startTs : -Infinity;
+  const endTs = range ? range.endTs : Infinity;
+  const limit = range && range.limit !== undefined ? range.limit : Infinity;
+  if (Number.isNaN(startTs) || Number.isNaN(endTs)) return [];
+
+  let offset = 0;
+  let sorted = false;
+  if (range) {
+    const index = loadTimeIndex(filePath);
+    sorted = index.sorted;
+    if (sorted) {
+      for (const [timestamp, entryOffset] of index.entries) {
+        if (timestamp > startTs) break;
+        offset = entryOffset;
+      }
+    }
+  }
+
+  const candles = [];
+  scanLines(filePath, offset, line => {
+    const candle = parseCandleLine(line);
+    if (!candle || candle.timestamp < startTs) return;
+    if (candle.timestamp > endTs) return !sorted;
+    candles.push(candle);
+    if (sorted && candles.length >= limit) return false;
+  });
+
+  return candles;
+}
+
+function writeCandleFile(filePath, candles) {
+  const rows = candles.map(c => `${c.timestamp},${c.open},${c.high},${c.low},${c.close},${c.volume}`);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, ['timestamp,open,high,low,close,volume', ...rows].join('\n') + '\n', 'utf-8');
+}
+
+// ========== 바이너리 컬럼 포맷 (.bin) ==========
+// CSV는 교환용, 백테스트 로더는 .bin이 있으면 그쪽을 읽는다
+// 헤더 32바이트: 'CNDL' | version u32 | rows u32 | reserved u32 | first_ts f64 | last_ts f64 (little endian)
+// 이후 컬럼별 Float64 배열: timestamp[rows], open[rows], high[rows], low[rows], close[rows], volume[rows]
+const BINARY_MAGIC = 'CNDL';
+const BINARY_VERSION = 1;
+const BINARY_HEADER_BYTES = 32;
+const BINARY_COLUMNS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+
+function binaryFilePath(csvPath) {
+  return csvPath.replace(/\.csv$/, '') + '.bin';
+}
+
+// 시간순 정렬 + 같은 timestamp는 마지막 값만
+function writeBinaryCandles(filePath, candles) {
+  const byTime = new Map();
+  for (const candle of candles) byTime.set(candle.timestamp, candle);
+  const rows = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+  const buffer = Buffer.alloc(BINARY_HEADER_BYTES + rows.length * 8 * BINARY_COLUMNS.length);
+  buffer.write(BINARY_MAGIC, 0, 'latin1');
+  buffer.writeUInt32LE(BINARY_VERSION, 4);
+  buffer.writeUInt32LE(rows.length, 8);
+  buffer.writeDoubleLE(rows.length ? rows[0].timestamp : 0, 16);
+  buffer.writeDoubleLE(rows.length ? rows[rows.length - 1].timestamp : 0, 24);
+
+  BINARY_COLUMNS.forEach((column, k) => {
+    const base = BINARY_HEADER_BYTES + k * rows.length * 8;
+    rows.forEach((row, i) => buffer.writeDoubleLE(row[column], base + i * 8));
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, buffer);
+  return rows.length;
+}
+
+function readBinaryHeader(fd) {
+  const header = Buffer.alloc(BINARY_HEADER_BYTES);
+  fs.readSync(fd, header, 0, BINARY_HEADER_BYTES, 0);
+  if (header.toString('latin1', 0, 4) !== BINARY_MAGIC || header.readUInt32LE(4) !== BINARY_VERSION) {
+    throw new Error('Not a candle binary file');
+  }
+  return {
+    rows: header.readUInt32LE(8),
+    first_ts: header.readDoubleLE(16),
+    last_ts: header.readDoubleLE(24)
+  };
+}
+
+// 구간 [from, to) 의 컬럼 하나를 Float64Array로 (파일에서 그 부분만 읽음)
+function readBinaryColumn(fd, rows, column, from, to) {
+  const bytes = Buffer.alloc((to - from) * 8);
+  const offset = BINARY_HEADER_BYTES + (column * rows + from) * 8;
+  fs.readSync(fd, bytes, 0, bytes.length, offset);
+  return new Float64Array(bytes.buffer, bytes.byteOffset, to - from);
+}
+
+// timestamp 컬럼 이진 탐색: target 이상(inclusive) / 초과 첫 위치
+function searchTimestamp(fd, rows, target, inclusive) {
+  const cell = Buffer.alloc(8);
+  let lo = 0;
+  let hi = rows;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    fs.readSync(fd, cell, 0, 8, BINARY_HEADER_BYTES + mid * 8);
+    const ts = cell.readDoubleLE(0);
+    if (inclusive ? ts < target : ts <= target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// .bin → 캔들 배열 (range: readCandleFile과 같음, 날짜 구간만 잘라서 읽음)
+function readBinaryCandles(filePath, range) {
+  const startTs = range ? range.startTs : -Infinity;
+  const endTs = range ? range.endTs : Infinity;
+  const limit = range && range.limit !== undefined ? range.limit : Infinity;
+  if (Number.isNaN(startTs) || Number.isNaN(endTs)) return [];
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const { rows } = readBinaryHeader(fd);
+    const from = searchTimestamp(fd, rows, startTs, true);
+    const to = Math.min(Math.max(from, searchTimestamp(fd, rows, endTs, false)), from + limit);
+    const columns = BINARY_COLUMNS.map((name, k) => readBinaryColumn(fd, rows, k, from, to));
+
+    const candles = new Array(to - from);
+    for (let i = 0; i < candles.length; i++) {
+      candles[i] = {
+        timestamp: columns[0][i],
+        open: columns[1][i],
+        high: columns[2][i],
+        low: columns[3][i],
+        close: columns[4][i],
+        volume: columns[5][i]
+      };
+    }
+    return candles;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// CSV → .bin 변환 (업로드 / convert-candles.js)
+function convertCsvToBinary(csvPath) {
+  const candles = readCandleFile(csvPath);
+  if (candles.length === 0) return 0;
+  return writeBinaryCandles(binaryFilePath(csvPath), candles);
+}
+
+// CSV / .bin 중 있는 쪽의 최근 수정 시각 (둘 다 없으면 null)
+function seriesModifiedAt(csvPath) {
+  const times = [csvPath, binaryFilePath(csvPath)]
+    .filter(file => fs.existsSync(file))
+    .map(file => fs.statSync(file).mtimeMs);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+// 전체 줄 수 (최신 .bin이면 헤더, 아니면 시간 인덱스) - 파일 전체를 읽기 전에 크기 확인용
+function seriesRowCount(csvPath) {
+  const binPath = binaryFilePath(csvPath);
+  if (fs.existsSync(binPath) && fs.statSync(binPath).mtimeMs === seriesModifiedAt(csvPath)) {
+    const fd = fs.openSync(binPath, 'r');
+    try {
+      return readBinaryHeader(fd).rows;
+    } catch (error) {
+      // 읽을 수 없는 .bin → CSV 기준
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  return fs.existsSync(csvPath) ? loadTimeIndex(csvPath).rows : 0;
+}
+
+// 백테스트 로더용: 최신 .bin이 있으면 바이너리, 아니면 CSV 스트리밍
+function readCandleSeries(csvPath, range) {
+  const binPath = binaryFilePath(csvPath);
+  if (fs.existsSync(binPath) &&
+      (!fs.existsSync(csvPath) || fs.statSync(binPath).mtimeMs >= fs.statSync(csvPath).mtimeMs)) {
+    try {
+      return readBinaryCandles(binPath, range);
+    } catch (error) {
+      console.log('⚠️ Ignoring unreadable binary file:', binPath, error.message);
+    }
+  }
+  return readCandleFile(csvPath, range);
+}
+
+// timestamp만 읽기 (카탈로그 메타데이터용) - .bin이면 timestamp 컬럼만, CSV면 첫 칸만 파싱
+// 파일 순서 그대로 (CSV는 정렬 안 되어 있을 수 있음)
+function readSeriesTimestamps(csvPath) {
+  const binPath = binaryFilePath(csvPath);
+  if (fs.existsSync(binPath) &&
+      (!fs.existsSync(csvPath) || fs.statSync(binPath).mtimeMs >= fs.statSync(csvPath).mtimeMs)) {
+    const fd = fs.openSync(binPath, 'r');
+    try {
+      const { rows } = readBinaryHeader(fd);
+      return Float64Array.from(readBinaryColumn(fd, rows, 0, 0, rows));
+    } catch (error) {
+      console.log('⚠️ Ignoring unreadable binary file:', binPath, error.message);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  const timestamps = [];
+  if (!fs.existsSync(csvPath)) return timestamps;
+  scanLines(csvPath, 0, line => {
+    const ts = parseInt(line.slice(0, line.indexOf(',')));
+    if (Number.isFinite(ts)) timestamps.push(ts);
+  });
+  return timestamps;
+}
+
+// 미리 만든 파일이 없는 타임프레임 → 1분봉 전체를 집계 (디스크 캐시)
+// 1분봉은 줄 단위로 읽으면서 바로 집계 (1분봉 전체를 메모리에 올리지 않음)
+// 캐시는 1분봉 파일보다 새로울 때만 사용, 1분봉도 없으면 null
+// range: readCandleFile과 같음
+function loadAggregatedCandles(marketType, symbol, timeframe, range) {
+  const sourcePath = candleFilePath(marketType, symbol, '1m');
+  const sourceModifiedAt = seriesModifiedAt(sourcePath);
+  if (sourceModifiedAt === null) return null;
+
+  const cachePath = path.join(CACHE_PATH, marketType, `${symbol}_${timeframe}.csv`);
+  if (fs.existsSync(cachePath) && fs.statSync(cachePath).mtimeMs >= sourceModifiedAt) {
+    console.log('✅ Using cached aggregate:', cachePath);
+    return readCandleSeries(cachePath, range);
+  }
+
+  console.log('📡 Aggregating', timeframe, 'from 1m:', sourcePath);
+  const series = createSeries(timeframe);
+  const binPath = binaryFilePath(sourcePath);
+  if (fs.existsSync(binPath) && fs.statSync(binPath).mtimeMs === sourceModifiedAt) {
+    readBinaryCandles(binPath).forEach(candle => series.update(candle));
+  } else {
+    scanLines(sourcePath, 0, line => {
+      const candle = parseCandleLine(line);
+      if (candle) series.update(candle);
+    });
+  }
+  const candles = series.candles;
+
+  try {
+    writeCandleFile(cachePath, candles);
+    console.log('✅ Cached aggregate:', cachePath, `(${candles.length} candles)`);
+  } catch (error) {
+    console.log('⚠️ Could not write aggregate cache:', error.message);
+  }
+
+  if (!range) return candles;
+  return candles.filter(c => c.timestamp >= range.startTs && c.timestamp <= range.endTs);
+}
+
+module.exports = {
+  DATA_PATH,
+  CACHE_PATH,
+  parseTimeframe,
+  bucketStart,
+  convertTimeframe,
+  candleFilePath,
+  scanLines,
+  parseCandleLine,
+  loadTimeIndex,
+  readCandleFile,
+  writeCandleFile,
+  binaryFilePath,
+  writeBinaryCandles,
+  readBinaryCandles,
+  convertCsvToBinary,
+  seriesModifiedAt,
+  seriesRowCount,
+  readCandleSeries,
+  readSeriesTimestamps,
+  loadAggregatedCandles
+};
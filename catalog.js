@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_PATH, CACHE_PATH, parseTimeframe, seriesModifiedAt, readSeriesTimestamps } = require('./candles');
+const { MAX_EXAMPLES, expectedInterval, findGaps, loadQualityReport } = require('./quality');
+
+// 캔들 카탈로그: 시리즈({symbol}_{timeframe}.csv / .bin) 단위 메타데이터
+// 메타데이터(줄 수, 기간, 갭)는 파일 전체를 읽어야 해서 캐시 (메모리 + .cache/catalog)
+// 원본 수정 시각/크기가 바뀌면 다시 계산
+const CATALOG_PATH = path.join(CACHE_PATH, 'catalog');
+const SERIES_SUFFIXES = ['.csv', '.bin'];
+// 디렉토리가 없어도 목록에는 항상 포함 (기존 응답 형식)
+const DEFAULT_MARKETS = ['futures', 'spot'];
+
+const memoryCache = new Map();
+
+// 데이터 디렉토리 아래 마켓 디렉토리 (.cache / .quality / .uploads 제외)
+function listMarkets() {
+  const markets = new Set(DEFAULT_MARKETS);
+  if (fs.existsSync(DATA_PATH)) {
+    fs.readdirSync(DATA_PATH, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .forEach(entry => markets.add(entry.name));
+  }
+  return [...markets].sort();
+}
+
+// 'BTCUSDT_1h' → { symbol: 'BTCUSDT', timeframe: '1h' }, 타임프레임 접미사가 없으면 timeframe null
+function parseSeriesName(series) {
+  const at = series.lastIndexOf('_');
+  if (at > 0 && parseTimeframe(series.slice(at + 1))) {
+    return { symbol: series.slice(0, at), timeframe: series.slice(at + 1) };
+  }
+  return { symbol: series, timeframe: null };
+}
+
+// 마켓 디렉토리의 시리즈 이름 목록 (펀딩비 파일 제외)
+function listSeries(market) {
+  const dir = path.join(DATA_PATH, market);
+  if (!fs.existsSync(dir)) return [];
+
+  const names = new Set();
+  for (const file of fs.readdirSync(dir)) {
+    const ext = path.extname(file);
+    const series = file.slice(0, -ext.length);
+    if (SERIES_SUFFIXES.includes(ext) && !series.endsWith('_funding')) names.add(series);
+  }
+  return [...names].sort();
+}
+
+// 'BTC*' / 'eth?usdt' → 대소문자 무시 정규식
+function symbolMatcher(pattern) {
+  if (!pattern) return () => true;
+  const source = String(pattern).split('').map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return symbol => regex.test(symbol);
+}
+
+function fileInfo(market, series) {
+  const files = [];
+  let size = 0;
+  for (const ext of SERIES_SUFFIXES) {
+    const file = path.join(DATA_PATH, market, series + ext);
+    if (fs.existsSync(file)) {
+      files.push(series + ext);
+      size += fs.statSync(file).size;
+    }
+  }
+  return { files, size };
+}
+
+// 파일을 읽어서 메타데이터 계산
+function computeMetadata(series, csvPath) {
+  const timestamps = Float64Array.from(readSeriesTimestamps(csvPath)).sort();
+  let duplicates = 0;
+  for (let i = 1; i < timestamps.length; i++) {
+    if (timestamps[i] === timestamps[i - 1]) duplicates++;
+  }
+
+  const interval = expectedInterval(series, timestamps);
+  const { gaps, missingBars } = findGaps(timestamps, interval);
+
+  return {
+    rows: timestamps.length,
+    first_timestamp: timestamps.length ? timestamps[0] : null,
+    last_timestamp: timestamps.length ? timestamps[timestamps.length - 1] : null,
+    interval_ms: interval,
+    duplicates,
+    gaps: gaps.length,
+    missing_bars: missingBars,
+    gap_examples: gaps.slice(0, MAX_EXAMPLES)
+  };
+}
+
+function cachePath(market, series) {
+  return path.join(CATALOG_PATH, market, `${series}.json`);
+}
+
+// 캐시된 메타데이터 (메모리 → 디스크 → 계산)
+function seriesMetadata(market, series) {
+  const csvPath = path.join(DATA_PATH, market, `${series}.csv`);
+  const modifiedAt = seriesModifiedAt(csvPath);
+  const { size } = fileInfo(market, series);
+  const key = `${market}/${series}`;
+  const valid = entry => entry && entry.modified_at === modifiedAt && entry.size_bytes === size;
+
+  const cached = memoryCache.get(key);
+  if (valid(cached)) return cached;
+
+  const diskPath = cachePath(market, series);
+  if (fs.existsSync(diskPath)) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(diskPath, 'utf-8'));
+      if (valid(entry)) {
+        memoryCache.set(key, entry);
+        return entry;
+      }
+    } catch (error) {
+      console.log('⚠️ Rebuilding broken catalog entry:', diskPath);
+    }
+  }
+
+  const entry = { ...computeMetadata(series, csvPath), modified_at: modifiedAt, size_bytes: size, computed_at: Date.now() };
+  memoryCache.set(key, entry);
+  try {
+    fs.mkdirSync(path.dirname(diskPath), { recursive: true });
+    fs.writeFileSync(diskPath, JSON.stringify(entry), 'utf-8');
+  } catch (error) {
+    console.log('⚠️ Could not write catalog cache:', diskPath, error.message);
+  }
+  return entry;
+}
+
+// 업로드 때 저장된 품질 리포트 요약 (append 업로드면 갭은 병합된 시리즈 기준)
+function healthSummary(market, series) {
+  const report = loadQualityReport(market, series);
+  if (!report) return null;
+  const gaps = report.merge || report;
+  return {
+    status: report.health,
+    rows: report.stored_rows,
+    bad_rows: report.bad_rows,
+    duplicates: report.duplicates,
+    gaps: gaps.gaps,
+    missing_bars: gaps.missing_bars,
+    checked_at: report.checked_at
+  };
+}
+
+// 카탈로그 항목 하나
+// name/size는 기존 /api/candles/list 응답과 같은 형식 (대표 파일 이름, MB 문자열)
+function catalogEntry(market, series) {
+  const { files } = fileInfo(market, series);
+  const { gap_examples, computed_at, ...meta } = seriesMetadata(market, series);
+
+  return {
+    name: files[0],
+    size: (meta.size_bytes / 1024 / 1024).toFixed(1) + 'MB',
+    market,
+    series,
+    ...parseSeriesName(series),
+    files,
+    ...meta,
+    health: healthSummary(market, series)
+  };
+}
+
+// filters: { market, symbol, timeframe } (market / timeframe는 콤마 구분 목록, symbol은 * ? 패턴)
+// → { [market]: [항목...] }
+function listCatalog(filters = {}) {
+  const markets = filters.market ? String(filters.market).split(',') : null;
+  const timeframes = filters.timeframe ? String(filters.timeframe).split(',') : null;
+  const matchSymbol = symbolMatcher(filters.symbol);
+  const result = {};
+
+  for (const market of listMarkets()) {
+    if (markets && !markets.includes(market)) continue;
+
+    result[market] = listSeries(market)
+      .filter(series => {
+        const { symbol, timeframe } = parseSeriesName(series);
+        return matchSymbol(symbol) && (!timeframes || timeframes.includes(timeframe));
+      })
+      .map(series => catalogEntry(market, series));
+  }
+  return result;
+}
+
+// 종목 상세: symbol은 'BTCUSDT'(전체 타임프레임) 또는 'BTCUSDT_1h'(시리즈 하나)
+// 없으면 null
+function symbolDetails(market, symbol) {
+  if (!listMarkets().includes(market)) return null;
+
+  const matched = listSeries(market).filter(series => series === symbol || parseSeriesName(series).symbol === symbol);
+  if (matched.length === 0) return null;
+
+  const base = parseSeriesName(matched[0]).symbol;
+  const fundingPath = path.join(DATA_PATH, market, `${base}_funding.csv`);
+  const series = matched.map(name => ({
+    ...catalogEntry(market, name),
+    gap_examples: seriesMetadata(market, name).gap_examples,
+    quality: loadQualityReport(market, name)
+  }));
+
+  return {
+    market,
+    symbol: base,
+    series,
+    timeframes: series.map(entry => entry.timeframe).filter(Boolean),
+    // 1분봉이 있으면 다른 타임프레임은 백테스트 때 집계해서 사용 가능
+    aggregatable: series.some(entry => entry.timeframe === '1m'),
+    funding_rates: fs.existsSync(fundingPath) ? {
+      name: path.basename(fundingPath),
+      size_bytes: fs.statSync(fundingPath).size,
+      modified_at: fs.statSync(fundingPath).mtimeMs
+    } : null
+  };
+}
+
+module.exports = { listMarkets, listSeries, parseSeriesName, listCatalog, symbolDetails };
@@ -0,0 +1,41 @@
+// 캔들 CSV → 바이너리(.bin) 일괄 변환
+// 사용법: node convert-candles.js [market_type] [symbol_timeframe] [--force]
+// 예) node convert-candles.js futures BTCUSDT_1m
+// 기본은 .bin이 없거나 CSV보다 오래된 파일만 변환
+const fs = require('fs');
+const path = require('path');
+const { DATA_PATH, binaryFilePath, convertCsvToBinary } = require('./candles');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const [marketFilter, nameFilter] = args.filter(arg => !arg.startsWith('--'));
+
+let converted = 0;
+let skipped = 0;
+
+for (const market of ['futures', 'spot']) {
+  if (marketFilter && market !== marketFilter) continue;
+
+  const dir = path.join(DATA_PATH, market);
+  if (!fs.existsSync(dir)) continue;
+
+  for (const file of fs.readdirSync(dir)) {
+    // 펀딩비 파일은 캔들이 아님
+    if (!file.endsWith('.csv') || file.endsWith('_funding.csv')) continue;
+    if (nameFilter && file !== `${nameFilter}.csv`) continue;
+
+    const csvPath = path.join(dir, file);
+    const binPath = binaryFilePath(csvPath);
+    if (!force && fs.existsSync(binPath) && fs.statSync(binPath).mtimeMs >= fs.statSync(csvPath).mtimeMs) {
+      skipped++;
+      continue;
+    }
+
+    const started = Date.now();
+    const rows = convertCsvToBinary(csvPath);
+    console.log(`✅ ${market}/${file} → ${path.basename(binPath)} (${rows} rows, ${Date.now() - started}ms)`);
+    converted++;
+  }
+}
+
+console.log(`📊 Converted ${converted}, up to date ${skipped}`);
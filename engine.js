@@ -0,0 +1,901 @@
+// 프록시 자체 체결 엔진 (전략은 onCandle(ctx)에서 매매 의도만 반환)
+// indicators.js처럼 샌드박스 안에서 소스째로 다시 평가되므로 require 없이 순수 함수로만 작성할 것
+//
+// 의도(intent): { action: 'buy' | 'sell' | 'close' | 'cancel', type: 'market' | 'limit' | 'stop', price, stopLoss, takeProfit, reason }
+// - market: 다음 캔들 시가에 체결 (현재 캔들 종가를 본 뒤의 결정이므로)
+// - limit / stop: 가격에 닿을 때까지 대기 (orderTimeout 캔들 지나면 취소)
+// - buy: 숏이면 청산 후 롱 진입 / sell: 롱이면 청산 후 숏 진입 (현물은 청산만)
+//
+// communitySettings의 리스크/시간 필터는 전략 코드와 상관없이 엔진이 강제한다
+// (손절/익절/트레일링/본전/부분청산, 최대 낙폭/일일 손실/연속 손실/거래 횟수, 요일/세션/거래량 필터)
+// 발동한 규칙은 거래별 risk_events와 결과의 risk 요약에 기록
+//
+// 선물: 유지증거금(maintenanceMarginRate) 기준 격리 청산 + 펀딩비 정산
+// 펀딩비는 settings.fundingRates([timestamp, rate] 목록, 호스트가 파일에서 로드) 또는 fundingRate 상수(%)를 fundingInterval 시간마다
+// 펀딩/강제청산은 거래와 별도로 ledger에도 기록
+//
+// intrabarFills: env.pathCandles(같은 구간 1분봉)가 있으면 대기 주문/손절/익절을 1분봉 경로 순서대로 체결
+// (한 캔들에서 손절과 익절이 모두 닿아도 실제로 먼저 닿은 쪽으로 결정)
+//
+// ctx.tf('4h'): 상위 타임프레임 시리즈 { candles, opens, highs, lows, closes, volumes }
+// 완성된 봉 + 현재 캔들까지 반영된 마지막 봉만 들어 있어서 미래 데이터를 볼 수 없다 (env.timeframes 필요)
+//
+// ctx.candles / opens / highs / lows / closes / volumes: 현재 캔들(ctx.index)까지의 기록 (길이 ctx.index + 1)
+// 지표는 slice(-N)처럼 최근 구간만 넘길 것 (캔들마다 전체를 다시 계산하면 O(n²))
+//
+// env.lookahead: { recordUntil, probe } 룩어헤드 검사용 (lookahead.js)
+// recordUntil 이전 캔들의 전략 결정을 기록, probe면 ctx 배열에서 ctx.index 이후를 읽으려 한 흔적을 기록
+//
+// 포트폴리오: env.account(createAccount)를 여러 종목의 createSimulation이 함께 쓰고 simulatePortfolio가 시각 순서대로 진행
+// 진입 크기(allocationPercent 비율) / 여유 증거금 / 낙폭·일일 손실·파산 판단은 공유 잔고 기준
+// 종목별 balance / 자산곡선은 그 종목의 실현 손익만 반영 (initialBalance = 명목 배분액)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_RISK_LOG = 500;
+
+// "HH:MM" / 숫자(시) → 하루 중 분
+function parseClock(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value * 60;
+  const [h, m] = String(value).split(':');
+  const minutes = parseInt(h) * 60 + (parseInt(m) || 0);
+  return Number.isFinite(minutes) ? minutes : null;
+}
+
+// 세션 구간 (자정 넘는 세션 지원)
+function inSession(minuteOfDay, start, end) {
+  if (start === null || end === null) return true;
+  return start <= end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// 공유 잔고 (포트폴리오): 각 종목 시뮬레이션이 legs에 미실현 손익 / 사용 중인 증거금을 등록
+function createAccount(initialBalance) {
+  const legs = [];
+  return {
+    initial: initialBalance,
+    balance: initialBalance,
+    legs,
+    equity() {
+      return legs.reduce((sum, leg) => sum + leg.unrealized(), this.balance);
+    },
+    marginInUse() {
+      return legs.reduce((sum, leg) => sum + leg.margin(), 0);
+    }
+  };
+}
+
+// 시뮬레이션 준비 → { step(i), finish() } (simulate / simulatePortfolio가 캔들 순서대로 step 호출)
+function createSimulation(candles, settings, strategy, env = {}) {
+  const initialBalance = settings.initialBalance || 10000;
+  const isFutures = settings.market_type !== 'spot';
+  const leverage = isFutures ? (settings.leverage || 1) : 1;
+  const feeRate = (settings.feePercent || 0) / 100;
+  const slippageRate = (settings.slippage || 0) / 100;
+  const maintenanceRate = (settings.maintenanceMarginRate ?? 0.5) / 100;
+  const fundingIntervalMs = (settings.fundingInterval || 8) * HOUR_MS;
+  const fundingRates = Array.isArray(settings.fundingRates) ? settings.fundingRates : null;
+  const fundingSource = !isFutures ? null : fundingRates ? 'file' : settings.fundingRate ? 'constant' : null;
+
+  // balance: 이 종목의 실현 손익만 반영 / account가 있으면 같은 금액을 공유 잔고에도 반영
+  const account = env.account || null;
+  const allocation = account ? (settings.allocationPercent ?? 100) / 100 : 1;
+  let balance = initialBalance;
+  let position = null;
+  let marketQueue = [];
+  let pendingOrders = [];
+  let peak = account ? account.initial : initialBalance;
+  let bankrupt = false;
+  let equity = peak;
+  let lastClose = null;
+
+  if (account) {
+    account.legs.push({
+      unrealized: () => lastClose === null ? 0 : unrealizedPnl(lastClose),
+      margin: () => position ? position.margin : 0
+    });
+  }
+
+  // ========== 리스크 상태 ==========
+  const risk = {
+    halted: null,
+    blocked: {},
+    fired: {},
+    log: []
+  };
+  let dayKey = null;
+  let weekKey = null;
+  let dayStartEquity = equity;
+  let dailyTrades = 0;
+  let weeklyTrades = 0;
+  let consecutiveLosses = 0;
+  let pausedUntilDay = null;
+
+  const sessionStart = parseClock(settings.sessionStart);
+  const sessionEnd = parseClock(settings.sessionEnd);
+  const tradingHours = settings.tradingHours ? String(settings.tradingHours).split('-') : null;
+  const hoursStart = tradingHours ? parseClock(tradingHours[0]) : null;
+  const hoursEnd = tradingHours ? parseClock(tradingHours[1]) : null;
+
+  const pathCandles = settings.intrabarFills && Array.isArray(env.pathCandles) && env.pathCandles.length > 0
+    ? env.pathCandles
+    : null;
+  let pathCursor = 0;
+  const intrabar = {
+    requested: !!settings.intrabarFills,
+    resolution: pathCandles ? '1m' : null,
+    path_resolved: 0,
+    ambiguous_resolved: 0,
+    candles_without_path: 0
+  };
+
+  const timeframeSeries = new Map();
+
+  // ========== 룩어헤드 검사 ==========
+  const lookahead = env.lookahead || null;
+  const decisions = [];
+  const futureReads = { count: 0, samples: [] };
+  let currentIndex = -1;
+
+  // ctx 배열 읽기 감시: 현재 캔들 이후 인덱스를 읽으면 기록 (배열에는 없으므로 undefined를 받음)
+  function probe(array, field) {
+    return new Proxy(array, {
+      get(target, prop) {
+        if (typeof prop === 'string') {
+          const idx = +prop;
+          if (idx > currentIndex) {
+            futureReads.count++;
+            if (futureReads.samples.length < 5) futureReads.samples.push({ index: currentIndex, field, read_index: idx });
+          }
+        }
+        return target[prop];
+      }
+    });
+  }
+
+
+  const trades = [];
+  const ledger = [];
+  let fundingCursor = 0;
+  const equityCurve = [];
+  const state = {};
+
+  const opens = candles.map(c => c.open);
+  const highs = candles.map(c => c.high);
+  const lows = candles.map(c => c.low);
+  const closes = candles.map(c => c.close);
+  const volumes = candles.map(c => c.volume);
+
+  // 전략에 넘기는 배열: 현재 캔들까지만 들어 있고 캔들마다 한 개씩 늘어남 (미래 캔들은 없음)
+  // 룩어헤드 probe면 감시용 Proxy
+  const history = { candles: [], opens: [], highs: [], lows: [], closes: [], volumes: [] };
+  const view = lookahead && lookahead.probe
+    ? Object.fromEntries(Object.entries(history).map(([field, array]) => [field, probe(array, field)]))
+    : history;
+
+  function extendHistory(i) {
+    history.candles.push(candles[i]);
+    history.opens.push(opens[i]);
+    history.highs.push(highs[i]);
+    history.lows.push(lows[i]);
+    history.closes.push(closes[i]);
+    history.volumes.push(volumes[i]);
+  }
+
+  function credit(amount) {
+    balance += amount;
+    if (account) account.balance += amount;
+  }
+
+  function accountBalance() {
+    return account ? account.balance : balance;
+  }
+
+  // ========== 포지션 크기 ==========
+  // Position = 잔고(복리 off면 초기자본) × equityPercent × leverage, $100 단위 내림
+  // 공유 잔고면 × allocationPercent, 다른 종목이 쓰는 증거금을 뺀 여유 증거금까지만
+  function positionUSDT() {
+    const total = accountBalance();
+    const base = settings.compoundEnabled ? total : Math.min(total, account ? account.initial : initialBalance);
+    const raw = base * allocation * ((settings.equityPercent || 10) / 100) * leverage;
+    const rounded = raw >= 100 ? Math.floor(raw / 100) * 100 : raw;
+    const capped = Math.min(rounded, settings.maxPositionSize || Infinity);
+    return account ? Math.min(capped, Math.max(0, total - account.marginInUse()) * leverage) : capped;
+  }
+
+  function unrealizedPnl(price) {
+    if (!position) return 0;
+    const diff = position.side === 'long' ? price - position.entry_price : position.entry_price - price;
+    return diff * position.size;
+  }
+
+  // 불리한 방향으로 슬리피지 적용
+  function slip(price, isBuy) {
+    return isBuy ? price * (1 + slippageRate) : price * (1 - slippageRate);
+  }
+
+  function orderLabel(isBuy, type) {
+    return `${isBuy ? 'BUY' : 'SELL'} ${(type || 'market').toUpperCase()}`;
+  }
+
+  // ========== 리스크 규칙 기록 ==========
+  function logRisk(rule, i, detail) {
+    risk.fired[rule] = (risk.fired[rule] || 0) + 1;
+    const event = { rule, index: i, timestamp: candles[i].timestamp, ...detail };
+    if (risk.log.length < MAX_RISK_LOG) risk.log.push(event);
+    return event;
+  }
+
+  function positionEvent(rule, i, detail) {
+    const event = logRisk(rule, i, detail);
+    if (position) position.risk_events.push(event);
+  }
+
+  // 신규 진입을 막는 규칙 (청산은 항상 허용)
+  function entryBlock(i) {
+    const candle = candles[i];
+    const date = new Date(candle.timestamp);
+    const weekday = date.getUTCDay();
+    const minuteOfDay = date.getUTCHours() * 60 + date.getUTCMinutes();
+
+    if (risk.halted) return risk.halted;
+    if (settings.avoidWeekends && (weekday === 0 || weekday === 6)) return 'avoid_weekends';
+    if (settings.avoidMonday && weekday === 1) return 'avoid_monday';
+    if (settings.avoidFriday && weekday === 5) return 'avoid_friday';
+    if (!inSession(minuteOfDay, sessionStart, sessionEnd)) return 'session';
+    if (!inSession(minuteOfDay, hoursStart, hoursEnd)) return 'trading_hours';
+    if (settings.volumeFilter && candle.volume < settings.volumeFilter) return 'volume_filter';
+    if (settings.maxDailyTrades && dailyTrades >= settings.maxDailyTrades) return 'max_daily_trades';
+    if (settings.maxWeeklyTrades && weeklyTrades >= settings.maxWeeklyTrades) return 'max_weekly_trades';
+    if (pausedUntilDay !== null && dayKey < pausedUntilDay) return 'max_consecutive_losses';
+    if (settings.maxDailyLoss && dayStartEquity > 0 &&
+        (dayStartEquity - equity) / dayStartEquity * 100 >= settings.maxDailyLoss) return 'max_daily_loss';
+    return null;
+  }
+
+  // 진입가 기준 손절/익절 거리 (percent → points → ATR 배수 순)
+  // kind: 'stopLoss' | 'takeProfit'
+  function riskDistance(kind, price, i) {
+    const percent = settings[`${kind}Percent`];
+    const points = settings[`${kind}Points`];
+    const atrMultiplier = settings[`${kind}ATR`];
+    const rule = kind === 'stopLoss' ? 'stop_loss' : 'take_profit';
+
+    if (percent) return { distance: price * percent / 100, rule: `${rule}_percent` };
+    if (points) return { distance: points, rule: `${rule}_points` };
+    if (atrMultiplier && env.indicators && i >= 1) {
+      const from = Math.max(0, i - (settings.atrPeriod || 14) * 3);
+      const atr = env.indicators.calculateATR(highs.slice(from, i + 1), lows.slice(from, i + 1), closes.slice(from, i + 1), settings.atrPeriod || 14);
+      if (atr > 0) return { distance: atr * atrMultiplier, rule: `${rule}_atr` };
+    }
+    return null;
+  }
+
+  // 선물 청산가 (격리 마진): 손실이 증거금 - 유지증거금에 닿는 가격
+  // 펀딩비를 내서 증거금이 줄면 청산가도 가까워진다
+  function liquidationPrice(pos) {
+    if (!isFutures) return null;
+    const buffer = (pos.margin - pos.size * pos.entry_price * maintenanceRate) / pos.size;
+    return pos.side === 'long' ? pos.entry_price - buffer : pos.entry_price + buffer;
+  }
+
+  // 이번 캔들 시가 이전에 돌아온 펀딩 시각들의 rate 목록
+  function dueFundingRates(prevTs, ts) {
+    if (fundingRates) {
+      const due = [];
+      while (fundingCursor < fundingRates.length && fundingRates[fundingCursor][0] <= ts) {
+        if (fundingRates[fundingCursor][0] > prevTs) due.push(fundingRates[fundingCursor][1]);
+        fundingCursor++;
+      }
+      return due;
+    }
+    const count = Math.floor(ts / fundingIntervalMs) - Math.floor(prevTs / fundingIntervalMs);
+    return new Array(Math.max(0, count)).fill(settings.fundingRate / 100);
+  }
+
+  // 펀딩 정산: rate > 0 이면 롱이 내고 숏이 받는다 (시가 기준 명목가치)
+  function settleFunding(rate, candle) {
+    const notional = position.size * candle.open;
+    const amount = (position.side === 'long' ? -1 : 1) * notional * rate;
+    credit(amount);
+    position.funding += amount;
+    position.margin += amount;
+    position.liquidation_price = liquidationPrice(position);
+
+    ledger.push({
+      type: 'funding',
+      timestamp: candle.timestamp,
+      side: position.side.toUpperCase(),
+      rate,
+      notional,
+      amount,
+      balance
+    });
+  }
+
+  function openPosition(side, price, i, type, intent) {
+    const usdt = positionUSDT();
+    if (usdt <= 0 || price <= 0) return;
+
+    const size = usdt / price;
+    const fee = usdt * feeRate;
+    credit(-fee);
+
+    position = {
+      side,
+      size,
+      margin: usdt / leverage,
+      funding: 0,
+      initial_size: size,
+      entry_price: price,
+      entry_index: i,
+      entry_time: candles[i].timestamp,
+      entry_fee: fee,
+      order_type: orderLabel(side === 'long', type),
+      stop_loss: intent.stopLoss || null,
+      stop_reason: 'stop_loss',
+      take_profit: intent.takeProfit || null,
+      liquidation_price: null,
+      best_price: price,
+      trailing_active: false,
+      break_even_done: false,
+      partial_done: [false, false],
+      reason: intent.reason || null,
+      risk_events: []
+    };
+
+    position.liquidation_price = liquidationPrice(position);
+    dailyTrades++;
+    weeklyTrades++;
+
+    // 전략이 손절/익절을 안 줬으면 설정값으로 채움
+    const dir = side === 'long' ? 1 : -1;
+    if (!position.stop_loss) {
+      const sl = riskDistance('stopLoss', price, i);
+      if (sl) {
+        position.stop_loss = price - dir * sl.distance;
+        positionEvent(sl.rule, i, { price: position.stop_loss });
+      }
+    }
+    if (!position.take_profit) {
+      const tp = riskDistance('takeProfit', price, i);
+      if (tp) {
+        position.take_profit = price + dir * tp.distance;
+        positionEvent(tp.rule, i, { price: position.take_profit });
+      }
+    }
+  }
+
+  // 포지션 일부 청산 (부분청산 규칙)
+  function reducePosition(fraction, price, i, exitReason) {
+    const size = Math.min(position.size, position.initial_size * fraction);
+    if (size <= 0) return;
+
+    const diff = position.side === 'long' ? price - position.entry_price : position.entry_price - price;
+    const share = size / position.size;
+    const entryFee = position.entry_fee * share;
+    const funding = position.funding * share;
+    const exitFee = size * price * feeRate;
+    credit(diff * size - exitFee);
+
+    trades.push({
+      entry_time: position.entry_time,
+      entry_price: position.entry_price,
+      exit_time: candles[i].timestamp,
+      exit_price: price,
+      side: position.side.toUpperCase(),
+      pnl: diff * size - entryFee - exitFee + funding,
+      fee: entryFee + exitFee,
+      funding,
+      size,
+      duration: i - position.entry_index,
+      order_type: position.order_type,
+      exit_reason: exitReason,
+      risk_events: position.risk_events.slice(),
+      balance
+    });
+
+    position.entry_fee -= entryFee;
+    position.funding -= funding;
+    position.margin -= position.margin * share;
+    position.size -= size;
+    if (position.size <= position.initial_size * 1e-9) position = null;
+  }
+
+  function closePosition(price, i, exitReason) {
+    if (!position) return;
+
+    let gross = unrealizedPnl(price);
+    let exitFee = position.size * price * feeRate;
+    let liquidationFee = 0;
+
+    // 강제청산: 격리 증거금 전부 손실 (남은 유지증거금은 청산 수수료, 갭으로 넘어선 손실은 거래소 부담)
+    // 진입 수수료/펀딩으로 잔고가 증거금보다 적어졌으면 잔고까지만 (격리 마진이라 0 아래로 내려가지 않음)
+    let marginLost = 0;
+    if (exitReason === 'liquidation') {
+      marginLost = Math.min(position.margin, Math.max(accountBalance(), 0));
+      gross = Math.max(gross, -marginLost);
+      liquidationFee = marginLost + gross;
+      exitFee = 0;
+    }
+
+    const pnl = gross - position.entry_fee - exitFee - liquidationFee + position.funding;
+    credit(gross - exitFee - liquidationFee);
+
+    if (exitReason === 'liquidation') {
+      ledger.push({
+        type: 'liquidation',
+        timestamp: candles[i].timestamp,
+        side: position.side.toUpperCase(),
+        price,
+        size: position.size,
+        margin_lost: marginLost,
+        liquidation_fee: liquidationFee,
+        balance
+      });
+    }
+
+    // 연속 손실 → 다음 날까지 신규 진입 중단
+    consecutiveLosses = pnl < 0 ? consecutiveLosses + 1 : 0;
+    if (settings.maxConsecutiveLosses && consecutiveLosses >= settings.maxConsecutiveLosses) {
+      pausedUntilDay = Math.floor(candles[i].timestamp / DAY_MS) + 1;
+      consecutiveLosses = 0;
+      positionEvent('max_consecutive_losses', i, { paused_until: pausedUntilDay * DAY_MS });
+    }
+
+    trades.push({
+      entry_time: position.entry_time,
+      entry_price: position.entry_price,
+      exit_time: candles[i].timestamp,
+      exit_price: price,
+      side: position.side.toUpperCase(),
+      pnl,
+      fee: position.entry_fee + exitFee + liquidationFee,
+      funding: position.funding,
+      size: position.size,
+      duration: i - position.entry_index,
+      order_type: position.order_type,
+      exit_reason: exitReason,
+      risk_events: position.risk_events,
+      balance
+    });
+
+    position = null;
+  }
+
+  // ========== 의도 처리 ==========
+  function normalizeIntent(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    let action = String(raw.action || '').toLowerCase();
+    if (action === 'long') action = 'buy';
+    if (action === 'short') action = 'sell';
+    if (!['buy', 'sell', 'close', 'cancel'].includes(action)) return null;
+
+    // masterReverse: 매수/매도 뒤집기
+    if (settings.masterReverse && (action === 'buy' || action === 'sell')) {
+      action = action === 'buy' ? 'sell' : 'buy';
+    }
+
+    const type = String(raw.type || 'market').toLowerCase();
+    return {
+      action,
+      type: ['market', 'limit', 'stop'].includes(type) ? type : 'market',
+      price: parseFloat(raw.price) || null,
+      stopLoss: parseFloat(raw.stopLoss) || null,
+      takeProfit: parseFloat(raw.takeProfit) || null,
+      reason: raw.reason ? String(raw.reason) : null
+    };
+  }
+
+  function execute(intent, price, i) {
+    const isBuy = intent.action === 'buy';
+
+    if (intent.action === 'close') {
+      if (position) closePosition(slip(price, position.side === 'short'), i, intent.reason || 'signal');
+      return;
+    }
+
+    // 반대 포지션 청산
+    if (position && position.side === (isBuy ? 'short' : 'long')) {
+      closePosition(slip(price, isBuy), i, 'reverse');
+    }
+
+    if (position) return;
+
+    const side = isBuy ? 'long' : 'short';
+    if (side === 'short' && !isFutures) return;
+    if (side === 'long' && settings.masterLongEnabled === false) return;
+    if (side === 'short' && settings.masterShortEnabled === false) return;
+
+    const blocked = entryBlock(i);
+    if (blocked) {
+      risk.blocked[blocked] = (risk.blocked[blocked] || 0) + 1;
+      logRisk(blocked, i, { blocked: intent.action });
+      return;
+    }
+
+    openPosition(side, intent.type === 'market' ? slip(price, isBuy) : price, i, intent.type, intent);
+  }
+
+  function submit(rawIntents, i) {
+    const list = Array.isArray(rawIntents) ? rawIntents : [rawIntents];
+
+    for (const raw of list) {
+      const intent = normalizeIntent(raw);
+      if (!intent) continue;
+
+      if (intent.action === 'cancel') {
+        pendingOrders = [];
+      } else if (intent.type === 'market' || intent.action === 'close' || !intent.price) {
+        marketQueue.push(intent);
+      } else {
+        pendingOrders.push({ ...intent, created_index: i });
+      }
+    }
+  }
+
+  // 대기 주문 체결 여부 (갭이면 시가 체결)
+  function triggerPrice(order, candle) {
+    const isBuy = order.action === 'buy';
+    if (order.type === 'limit') {
+      if (isBuy && candle.low <= order.price) return Math.min(candle.open, order.price);
+      if (!isBuy && candle.high >= order.price) return Math.max(candle.open, order.price);
+    } else {
+      if (isBuy && candle.high >= order.price) return Math.max(candle.open, order.price);
+      if (!isBuy && candle.low <= order.price) return Math.min(candle.open, order.price);
+    }
+    return null;
+  }
+
+  function exitLevels() {
+    return [
+      { price: position.liquidation_price, reason: 'liquidation', adverse: true },
+      { price: position.stop_loss, reason: position.stop_reason, adverse: true },
+      { price: position.take_profit, reason: 'take_profit', adverse: false }
+    ].filter(level => level.price);
+  }
+
+  function touches(level, candle) {
+    const isLong = position.side === 'long';
+    return isLong === level.adverse ? candle.low <= level.price : candle.high >= level.price;
+  }
+
+  // 보유 포지션 청산 조건 (손실 쪽 먼저, 보수적으로): 청산가/손절가 중 진입가에 가까운 것 → 익절
+  // 시가부터 이미 넘어선 갭이면 시가 체결, 청산은 시가가 청산가까지 넘어섰거나 청산가가 더 가까울 때만
+  function resolveExit(candle) {
+    const isLong = position.side === 'long';
+    const gapped = (level) => isLong === level.adverse ? candle.open < level.price : candle.open > level.price;
+    const hit = exitLevels().filter(level => touches(level, candle));
+
+    const adverse = hit
+      .filter(level => level.adverse)
+      .sort((a, b) => isLong ? b.price - a.price : a.price - b.price);
+    if (adverse.length > 0) {
+      const passed = adverse.filter(gapped);
+      return passed.length > 0
+        ? { price: candle.open, reason: passed[passed.length - 1].reason }
+        : { price: adverse[0].price, reason: adverse[0].reason };
+    }
+
+    const target = hit.find(level => !level.adverse);
+    if (target) return { price: gapped(target) ? candle.open : target.price, reason: target.reason };
+
+    return null;
+  }
+
+  // 대기 주문 체결 (bar: 캔들 또는 1분봉), 체결된 개수 반환
+  function fillPending(bar, i) {
+    let filled = 0;
+    const stillPending = [];
+    for (const order of pendingOrders) {
+      const price = triggerPrice(order, bar);
+      if (price !== null) {
+        execute(order, price, i);
+        filled++;
+      } else {
+        stillPending.push(order);
+      }
+    }
+    pendingOrders = stillPending;
+    return filled;
+  }
+
+  function checkExit(bar, i) {
+    const exit = resolveExit(bar);
+    if (!exit) return false;
+    closePosition(exit.reason === 'liquidation' ? exit.price : slip(exit.price, position.side === 'short'), i, exit.reason);
+    return true;
+  }
+
+  // 캔들 i 구간 [timestamp, 다음 캔들 timestamp) 의 1분봉
+  function pathFor(i) {
+    if (!pathCandles) return null;
+    const start = candles[i].timestamp;
+    const end = i + 1 < candles.length ? candles[i + 1].timestamp : Infinity;
+    while (pathCursor < pathCandles.length && pathCandles[pathCursor].timestamp < start) pathCursor++;
+
+    const path = [];
+    for (let k = pathCursor; k < pathCandles.length && pathCandles[k].timestamp < end; k++) {
+      path.push(pathCandles[k]);
+    }
+    return path.length > 0 ? path : null;
+  }
+
+  // 트레일링 / 본전 / 부분청산 (이번 캔들 고저 반영 → 다음 캔들부터 적용)
+  function manageOpenPosition(candle, i) {
+    const isLong = position.side === 'long';
+    const dir = isLong ? 1 : -1;
+    position.best_price = isLong ? Math.max(position.best_price, candle.high) : Math.min(position.best_price, candle.low);
+    const bestProfitPercent = (position.best_price - position.entry_price) * dir / position.entry_price * 100;
+
+    // 스탑은 유리한 방향으로만 이동
+    const tighten = (price, rule) => {
+      if (position.stop_loss && (price - position.stop_loss) * dir <= 0) return;
+      position.stop_loss = price;
+      position.stop_reason = rule;
+      positionEvent(rule, i, { price });
+    };
+
+    if (settings.breakEvenEnabled && !position.break_even_done &&
+        bestProfitPercent >= (settings.breakEvenTrigger || 0)) {
+      position.break_even_done = true;
+      tighten(position.entry_price * (1 + dir * (settings.breakEvenOffset || 0) / 100), 'break_even');
+    }
+
+    const trailDistance = settings.trailingStopPercent
+      ? position.best_price * settings.trailingStopPercent / 100
+      : settings.trailingStopDistance || 0;
+    if (trailDistance > 0 && bestProfitPercent >= (settings.trailingStopTrigger || 0)) {
+      const trailPrice = position.best_price - dir * trailDistance;
+      if (!position.trailing_active || (trailPrice - position.stop_loss) * dir > 0) {
+        position.trailing_active = true;
+        tighten(trailPrice, 'trailing_stop');
+      }
+    }
+
+    // 부분청산: 종가 수익률이 트리거 도달 시 최초 수량의 n%
+    const closeProfitPercent = (candle.close - position.entry_price) * dir / position.entry_price * 100;
+    const partials = [
+      [settings.partialCloseEnabled, settings.partialClosePercent, settings.partialCloseTrigger],
+      [settings.partialClose2Enabled, settings.partialClose2Percent, settings.partialClose2Trigger]
+    ];
+    for (const [k, [enabled, percent, trigger]] of partials.entries()) {
+      if (!position || !enabled || !percent || position.partial_done[k]) continue;
+      if (closeProfitPercent < (trigger || 0)) continue;
+      position.partial_done[k] = true;
+      positionEvent('partial_close', i, { percent, price: candle.close });
+      reducePosition(percent / 100, slip(candle.close, !isLong), i, 'partial_close');
+    }
+  }
+
+  // 첫 요청 때 0..i 캔들로 만들고, 이후엔 캔들마다 update
+  function seriesFor(timeframe, i) {
+    if (!env.timeframes) throw new Error('Multi-timeframe series are not available');
+    if (!timeframeSeries.has(timeframe)) {
+      timeframeSeries.set(timeframe, env.timeframes.createSeries(timeframe, candles.slice(0, i + 1)));
+    }
+    return timeframeSeries.get(timeframe);
+  }
+
+  if (typeof strategy.init === 'function') {
+    strategy.init({ settings, state, candles: view.candles, indicators: env.indicators });
+  }
+
+  // ========== 캔들 하나 진행 (파산하면 false → 이후 캔들 중단) ==========
+  function step(i) {
+    const candle = candles[i];
+
+    // 0. 일/주 단위 카운터 리셋 (UTC, 주는 월요일 시작)
+    const day = Math.floor(candle.timestamp / DAY_MS);
+    const week = Math.floor((day + 3) / 7);
+    if (day !== dayKey) {
+      dayKey = day;
+      dayStartEquity = equity;
+      dailyTrades = 0;
+    }
+    if (week !== weekKey) {
+      weekKey = week;
+      weeklyTrades = 0;
+    }
+
+    // 펀딩 정산 (직전 캔들 이후 ~ 이번 시가까지 보유한 포지션)
+    if (position && fundingSource && i > 0) {
+      for (const rate of dueFundingRates(candles[i - 1].timestamp, candle.timestamp)) {
+        if (position) settleFunding(rate, candle);
+      }
+    }
+
+    // 1. 직전 캔들에서 나온 시장가 의도 → 이번 시가에 체결
+    const queued = marketQueue;
+    marketQueue = [];
+    for (const intent of queued) execute(intent, candle.open, i);
+
+    // 2. 대기 주문 (limit / stop) → 3. 청산 / 손절 / 익절
+    if (settings.orderTimeout) {
+      pendingOrders = pendingOrders.filter(order => i - order.created_index <= settings.orderTimeout);
+    }
+
+    const path = pathFor(i);
+    if (path) {
+      // 1분봉 경로 순서대로: 캔들 전체로는 손절/익절이 둘 다 닿았던 경우가 ambiguous
+      let ambiguous = !!position && exitLevels().filter(level => touches(level, candle)).length >= 2;
+      for (const bar of path) {
+        intrabar.path_resolved += fillPending(bar, i);
+        if (position && checkExit(bar, i)) {
+          intrabar.path_resolved++;
+          if (ambiguous) intrabar.ambiguous_resolved++;
+          ambiguous = false;
+        }
+      }
+    } else {
+      if (pathCandles) intrabar.candles_without_path++;
+      fillPending(candle, i);
+      if (position) checkExit(candle, i);
+    }
+    if (position) manageOpenPosition(candle, i);
+
+    // 4. 종가 기준 평가 (공유 잔고면 전체 계좌 자산)
+    lastClose = candle.close;
+    equity = account ? account.equity() : balance + unrealizedPnl(candle.close);
+    peak = Math.max(peak, equity);
+
+    // 최대 낙폭 도달 → 청산 후 이후 진입 중단
+    if (settings.maxDrawdown && !risk.halted && peak > 0 && (peak - equity) / peak * 100 >= settings.maxDrawdown) {
+      if (position) {
+        positionEvent('max_drawdown', i, { drawdown: (peak - equity) / peak * 100 });
+        closePosition(slip(candle.close, position.side === 'short'), i, 'max_drawdown');
+        equity = account ? account.equity() : balance;
+      } else {
+        logRisk('max_drawdown', i, { drawdown: (peak - equity) / peak * 100 });
+      }
+      risk.halted = 'max_drawdown';
+    }
+
+    const point = {
+      timestamp: candle.timestamp,
+      balance,
+      equity: account ? balance + unrealizedPnl(candle.close) : equity,
+      drawdown: peak > 0 ? (peak - equity) / peak * 100 : 0
+    };
+    equityCurve.push(point);
+    if (env.reportProgress) env.reportProgress(i, point);
+
+    if (equity <= 0) {
+      if (position) closePosition(candle.close, i, 'bankrupt');
+      bankrupt = true;
+      return false;
+    }
+
+    // 5. 전략 호출 → 다음 캔들부터 반영
+    if (i < candles.length - 1) {
+      for (const series of timeframeSeries.values()) series.update(candle);
+      extendHistory(i);
+
+      const ctx = {
+        index: i,
+        candle,
+        ...view,
+        settings,
+        state,
+        indicators: env.indicators,
+        balance: accountBalance(),
+        equity,
+        position: position ? {
+          side: position.side,
+          size: position.size,
+          entry_price: position.entry_price,
+          entry_index: position.entry_index,
+          entry_time: position.entry_time,
+          stop_loss: position.stop_loss,
+          take_profit: position.take_profit,
+          liquidation_price: position.liquidation_price,
+          funding: position.funding,
+          unrealized_pnl: unrealizedPnl(candle.close)
+        } : null,
+        pending_orders: pendingOrders.length,
+        tf: (timeframe) => seriesFor(String(timeframe), i)
+      };
+
+      currentIndex = i;
+      const intents = strategy.onCandle(ctx);
+      currentIndex = candles.length;
+      if (intents) submit(intents, i);
+      if (intents && lookahead && i < lookahead.recordUntil) {
+        decisions.push({ index: i, intents: JSON.stringify(intents) });
+      }
+    }
+
+    return true;
+  }
+
+  // 데이터 끝 (또는 파산): 결과 정리
+  function finish() {
+    // 남은 포지션 종가 청산
+    if (position && candles.length > 0) {
+      closePosition(candles[candles.length - 1].close, candles.length - 1, 'end_of_data');
+      equityCurve[equityCurve.length - 1].balance = balance;
+      equityCurve[equityCurve.length - 1].equity = balance;
+    }
+
+    return {
+      engine: 'proxy',
+      trades,
+      ledger,
+      funding_source: fundingSource,
+      intrabar,
+      lookahead: lookahead ? { decisions, future_reads: futureReads } : undefined,
+      equity_curve: equityCurve,
+      final_balance: balance,
+      initial_balance: initialBalance,
+      bankrupt,
+      risk: {
+        enforced: true,
+        halted: risk.halted,
+        blocked_entries: risk.blocked,
+        fired: risk.fired,
+        log: risk.log
+      }
+    };
+  }
+
+  return { step, finish };
+}
+
+function simulate(candles, settings, strategy, env = {}) {
+  const simulation = createSimulation(candles, settings, strategy, env);
+  for (let i = 0; i < candles.length; i++) {
+    if (!simulation.step(i)) break;
+  }
+  return simulation.finish();
+}
+
+// 포트폴리오: 종목별 시뮬레이션을 timestamp 순서대로 한 캔들씩 진행 (같은 시각이면 legs 순서대로)
+// legs: [{ candles, simulation }] (같은 account로 만든 createSimulation), onStep(processed, total): 진행률
+// → { legs: [종목별 결과], equity_curve: 계좌 전체 자산곡선, final_balance }
+function simulatePortfolio(legs, account, onStep) {
+  const cursors = legs.map(() => 0);
+  const active = legs.map(() => true);
+  const total = legs.reduce((sum, leg) => sum + leg.candles.length, 0);
+  const equityCurve = [];
+  let processed = 0;
+  let peak = account.initial;
+
+  while (true) {
+    let timestamp = Infinity;
+    legs.forEach((leg, k) => {
+      if (active[k] && cursors[k] < leg.candles.length) timestamp = Math.min(timestamp, leg.candles[cursors[k]].timestamp);
+    });
+    if (timestamp === Infinity) break;
+
+    legs.forEach((leg, k) => {
+      if (!active[k] || cursors[k] >= leg.candles.length || leg.candles[cursors[k]].timestamp !== timestamp) return;
+      if (!leg.simulation.step(cursors[k])) active[k] = false;
+      cursors[k]++;
+      processed++;
+    });
+
+    const equity = account.equity();
+    peak = Math.max(peak, equity);
+    equityCurve.push({
+      timestamp,
+      balance: account.balance,
+      equity,
+      drawdown: peak > 0 ? (peak - equity) / peak * 100 : 0
+    });
+    if (onStep) onStep(processed, total);
+  }
+
+  const results = legs.map(leg => leg.simulation.finish());
+  // 데이터 끝 청산 반영
+  if (equityCurve.length > 0) {
+    equityCurve[equityCurve.length - 1].balance = account.balance;
+    equityCurve[equityCurve.length - 1].equity = account.equity();
+  }
+
+  return { legs: results, equity_curve: equityCurve, initial_balance: account.initial, final_balance: account.balance };
+}
+
+module.exports = { simulate, createAccount, createSimulation, simulatePortfolio };
@@ -0,0 +1,9 @@
+// 라우트에서 그대로 응답으로 바꿀 수 있는 에러 (status + 추가 응답 필드)
+function httpError(status, message, body = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.body = body;
+  return error;
+}
+
+module.exports = { httpError };
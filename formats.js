@@ -0,0 +1,309 @@
+const { httpError } = require('./errors');
+
+// 업로드 캔들 포맷 변환 → 저장 포맷 (timestamp,open,high,low,close,volume / ms epoch UTC)
+// - csv: 구분자(, ; tab) 자동 감지, 헤더 이름으로 컬럼 찾기 (없으면 위치 순서)
+// - binance: 바이낸스 klines 덤프 (open_time..ignore 12컬럼, 2025년부터 spot은 마이크로초)
+// - mt5: MT5 히스토리 내보내기 (<DATE>\t<TIME>\t<OPEN>...\t<TICKVOL>\t<VOL>\t<SPREAD>)
+// - json: kline 배열 ([[t, o, h, l, c, v, ...]]) 또는 객체 배열 ([{ time, open, ... }])
+const FORMATS = ['auto', 'csv', 'binance', 'mt5', 'json'];
+const TIME_UNITS = ['auto', 's', 'ms', 'us', 'ns'];
+const FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+const CSV_HEADER = FIELDS.join(',');
+
+// 헤더 이름 후보 (소문자, <> 제거 후 비교, 앞쪽 우선)
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'open_time', 'opentime', 'datetime', 'date_time', 'time', 'date', 'ts', 't'],
+  date: ['date', 'day'],
+  time: ['time'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'tickvol', 'tick_volume', 'vol', 'v']
+};
+
+// epoch 숫자 크기로 단위 추정 (2001년 이후 데이터 기준)
+function detectTimeUnit(value) {
+  const abs = Math.abs(value);
+  if (abs < 1e11) return 's';
+  if (abs < 1e14) return 'ms';
+  if (abs < 1e17) return 'us';
+  return 'ns';
+}
+
+const UNIT_DIVISOR = { s: 1 / 1000, ms: 1, us: 1000, ns: 1000000 };
+
+const zoneFormatters = new Map();
+
+// timezone 기준 현지 시각 - UTC (ms)
+// timezone: 'UTC' | '+09:00' | IANA 이름 ('Europe/Athens' 등, 서머타임 반영)
+function zoneOffset(timezone, utcMs) {
+  if (!timezone || timezone.toUpperCase() === 'UTC') return 0;
+
+  const fixed = timezone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (fixed) return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 60 + parseInt(fixed[3])) * 60 * 1000;
+
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(timezone).formatToParts(new Date(utcMs))) {
+    parts[type] = parseInt(value);
+  }
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(utcMs / 1000) * 1000;
+}
+
+// 잘못된 timezone이면 400
+function checkTimezone(timezone) {
+  if (!timezone) return;
+  try {
+    zoneOffset(timezone, Date.now());
+  } catch (error) {
+    throw httpError(400, `Unknown timezone: ${timezone}`);
+  }
+}
+
+const DATE_PATTERN = /^(\d{4})[-./](\d{1,2})[-./](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// 시각 문자열/epoch → ms epoch (UTC), 못 읽으면 NaN
+// 오프셋 없는 날짜 문자열은 timezone 기준 현지 시각으로 해석
+function parseTime(value, options, units) {
+  const text = String(value).trim();
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    const unit = options.timeUnit === 'auto' ? detectTimeUnit(number) : options.timeUnit;
+    units.add(unit);
+    return Math.round(number / UNIT_DIVISOR[unit]);
+  }
+
+  const match = text.match(DATE_PATTERN);
+  if (!match) return NaN;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, millis = '0', zone] = match;
+  const local = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second, parseInt(millis.padEnd(3, '0')));
+  units.add('date');
+
+  if (zone) return local - zoneOffset(zone.toUpperCase() === 'Z' ? 'UTC' : zone, local);
+
+  // 서머타임 경계 근처를 위해 한 번 더 보정
+  const guess = local - zoneOffset(options.timezone, local);
+  return local - zoneOffset(options.timezone, guess);
+}
+
+function normalizeHeader(name) {
+  return String(name).trim().replace(/^<|>$/g, '').toLowerCase().replace(/\s+/g, '_');
+}
+
+// 필드 → 컬럼 위치 (헤더 이름 또는 인덱스)
+// mapping: 요청의 columns 옵션 ({ timestamp: 'Open time', volume: 5, ... })
+function resolveColumns(header, mapping = {}) {
+  const names = header ? header.map(normalizeHeader) : null;
+  const columns = {};
+
+  const find = (candidates) => {
+    if (!names) return -1;
+    for (const candidate of candidates) {
+      const index = names.indexOf(candidate);
+      if (index !== -1) return index;
+    }
+    return -1;
+  };
+
+  for (const [field, target] of Object.entries(mapping)) {
+    if (Number.isInteger(target)) {
+      columns[field] = target;
+    } else {
+      const index = find([normalizeHeader(target)]);
+      if (index === -1) throw httpError(400, `Mapped column not found: ${field} → ${target}`);
+      columns[field] = index;
+    }
+  }
+
+  // 날짜/시간이 따로 있는 경우 (MT5 <DATE> <TIME>)
+  if (columns.timestamp === undefined && columns.date === undefined && names) {
+    const date = find(COLUMN_ALIASES.date);
+    const time = find(COLUMN_ALIASES.time);
+    if (date !== -1 && time !== -1) {
+      columns.date = date;
+      columns.time = time;
+    }
+  }
+
+  FIELDS.forEach((field, position) => {
+    if (columns[field] !== undefined || (field === 'timestamp' && columns.date !== undefined)) return;
+    const index = find(COLUMN_ALIASES[field]);
+    if (index !== -1) columns[field] = index;
+    else if (!names) columns[field] = position;
+  });
+
+  const missing = FIELDS.filter(field => columns[field] === undefined && !(field === 'timestamp' && columns.date !== undefined));
+  if (missing.length > 0) {
+    throw httpError(400, `Could not find columns: ${missing.join(', ')}`, { header });
+  }
+  return columns;
+}
+
+// ';' 구분 CSV는 소수점이 쉼표인 경우가 많음 (42000,5) → 쉼표보다 ';'가 적지 않으면 ';'
+function detectDelimiter(line) {
+  if (line.includes('\t')) return '\t';
+  if (line.includes(';') && line.split(';').length >= line.split(',').length) return ';';
+  return ',';
+}
+
+function detectFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  if (/<date>/i.test(firstLine)) return 'mt5';
+
+  const columns = firstLine.split(',');
+  if (columns.length === 12 && columns.every(v => Number.isFinite(Number(v)))) return 'binance';
+  if (/open_time/i.test(firstLine) && /close_time/i.test(firstLine)) return 'binance';
+  return 'csv';
+}
+
+// 첫 칸이 숫자/날짜가 아니면 헤더로 봄
+function isHeaderRow(values) {
+  const first = String(values[0]).trim();
+  return !Number.isFinite(Number(first)) && !DATE_PATTERN.test(first);
+}
+
+// 행(컬럼 배열) → 저장 포맷 한 줄
+// 시각을 못 읽은 행도 그대로 남겨서 품질 검사(quality.js)에서 불량 행으로 잡히게 함
+function canonicalLine(values, columns, options, units) {
+  const timestamp = columns.date !== undefined
+    ? parseTime(`${String(values[columns.date]).trim()} ${String(values[columns.time] ?? '').trim()}`.trim(), options, units)
+    : parseTime(values[columns.timestamp], options, units);
+
+  // 해석하지 못한 시간은 원문 그대로 (검사 보고용), 저장 CSV가 깨지지 않게 쉼표만 공백으로
+  const cells = [Number.isFinite(timestamp) ? timestamp : String(values[columns.date ?? columns.timestamp] ?? '').replace(/,/g, ' ')];
+  for (const field of FIELDS.slice(1)) {
+    cells.push(decimalPoint(String(values[columns[field]] ?? '').trim()));
+  }
+  return cells.join(',');
+}
+
+// 소수점 쉼표 (42000,5 → 42000.5), 그 밖에 쉼표가 든 값(천 단위 구분 등)은 뜻이 모호하므로 거부
+function decimalPoint(value) {
+  if (!value.includes(',')) return value;
+  if (/^[-+]?\d*,\d+$/.test(value)) return value.replace(',', '.');
+  throw httpError(400, `Ambiguous number with commas: ${value}`);
+}
+
+// 객체 배열 JSON: 키 이름을 헤더처럼 사용
+function jsonRows(data) {
+  const items = Array.isArray(data) ? data : (data && (data.candles || data.klines || data.data));
+  if (!Array.isArray(items)) throw httpError(400, 'JSON candles must be an array (or { candles: [...] })');
+  if (items.length === 0 || Array.isArray(items[0])) return { header: null, rows: items };
+
+  const header = Object.keys(items[0]);
+  return { header, rows: items.map(item => header.map(key => item[key])) };
+}
+
+function checkOptions(options) {
+  const format = options.format || 'auto';
+  const timeUnit = options.time_unit || 'auto';
+  const timezone = options.timezone || 'UTC';
+
+  if (!FORMATS.includes(format)) throw httpError(400, `Unknown format: ${format}`, { formats: FORMATS });
+  if (!TIME_UNITS.includes(timeUnit)) throw httpError(400, `Unknown time_unit: ${timeUnit}`, { time_units: TIME_UNITS });
+  if (options.columns !== undefined && (typeof options.columns !== 'object' || options.columns === null)) {
+    throw httpError(400, 'columns must be an object like { "timestamp": "Open time", "volume": 5 }');
+  }
+  checkTimezone(timezone);
+  return { format, timeUnit, timezone };
+}
+
+function describe(detected, format, delimiter, header, columns, units, timezone) {
+  return {
+    format: detected,
+    detected: format === 'auto',
+    delimiter,
+    header: header ? header.map(String) : null,
+    columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, header ? String(header[index]) : index])),
+    time_units: [...units],
+    timezone
+  };
+}
+
+// 텍스트 포맷(csv / binance / mt5)을 줄 단위로 변환 → info
+// 전체를 문자열 하나로 만들지 않음 (분할 업로드처럼 큰 데이터)
+// eachLine(callback): 원본 줄을 순서대로 callback에 넘기는 함수
+// onLine(line): 저장 포맷 줄 (헤더 줄부터)
+function normalizeCandleLines(eachLine, options, onLine) {
+  const { format, timeUnit, timezone } = checkOptions(options);
+  const parseOptions = { timeUnit, timezone };
+  const units = new Set();
+  let detected = format === 'auto' ? null : format;
+  let delimiter = null;
+  let header = null;
+  let columns = null;
+
+  eachLine(line => {
+    if (!line.trim()) return;
+
+    // 첫 줄로 포맷 / 구분자 / 헤더 결정
+    if (!columns) {
+      detected = detected || detectFormat(line);
+      if (detected === 'json') throw httpError(400, 'json format must be uploaded as one document, not line by line');
+      delimiter = options.delimiter || (detected === 'mt5' ? '\t' : detectDelimiter(line));
+      const first = line.split(delimiter);
+      if (isHeaderRow(first)) header = first;
+      columns = resolveColumns(header, options.columns);
+      onLine(CSV_HEADER);
+      if (header) return;
+    }
+    onLine(canonicalLine(line.split(delimiter), columns, parseOptions, units));
+  });
+
+  if (!columns) {
+    columns = resolveColumns(null, options.columns);
+    onLine(CSV_HEADER);
+  }
+  return describe(detected || 'csv', format, delimiter, header, columns, units, timezone);
+}
+
+// 업로드 데이터 → { csvText, info }
+// raw: 텍스트 또는 이미 파싱된 JSON 배열
+// options: { format, columns, delimiter, timezone, time_unit }
+function normalizeCandleData(raw, options = {}) {
+  const { format, timeUnit, timezone } = checkOptions(options);
+  const text = typeof raw === 'string' ? raw : null;
+  const detected = format !== 'auto' ? format : text === null ? 'json' : detectFormat(text);
+
+  if (detected !== 'json') {
+    if (text === null) throw httpError(400, `${detected} format expects text data`);
+    const lines = [];
+    const info = normalizeCandleLines(each => text.split(/\r?\n/).forEach(each), { ...options, format: detected }, line => lines.push(line));
+    return { csvText: lines.join('\n'), info: { ...info, detected: format === 'auto' } };
+  }
+
+  let data = raw;
+  if (text !== null) {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw httpError(400, `Invalid JSON candles: ${error.message}`);
+    }
+  }
+  const { header, rows } = jsonRows(data);
+  const columns = resolveColumns(header, options.columns);
+  const parseOptions = { timeUnit, timezone };
+  const units = new Set();
+  const lines = rows.map(values => canonicalLine(values, columns, parseOptions, units));
+
+  return {
+    csvText: [CSV_HEADER, ...lines].join('\n'),
+    info: describe(detected, format, null, header, columns, units, timezone)
+  };
+}
+
+module.exports = { FORMATS, TIME_UNITS, detectFormat, detectTimeUnit, parseTime, normalizeCandleLines, normalizeCandleData };
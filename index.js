@@ -1,7 +1,23 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
+const zlib = require('zlib');
+const { runBacktest } = require('./backtest');
+const { runOptimization, runWalkForward } = require('./optimizer');
+const { runPortfolio } = require('./portfolio');
+const { scanLookahead } = require('./lookahead');
+const { listCatalog, symbolDetails } = require('./catalog');
+const { isCandleQuery, resolveCandleQuery, candleQueryEtag, runCandleQuery, formatCandleQuery } = require('./query');
+const { candleCacheStats } = require('./cache');
+const {
+  uploadOptions,
+  storeCandleUpload,
+  createUploadSession,
+  saveUploadChunk,
+  uploadSessionStatus,
+  completeUploadSession,
+  abortUploadSession
+} = require('./uploads');
+const { enqueueJob, setJobProgress, setJobStep, getJob, serializeJob, queueStats } = require('./jobs');
 
 const app = express();
 
@@ -10,7 +26,64 @@ app.use(express.json({ limit: '100mb' }));  // ← 10mb → 100mb
 app.use(express.text({ limit: '100mb' }));
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const DATA_PATH = '/data/candles';
+// 이보다 작은 응답은 압축하지 않음
+const COMPRESS_MIN_BYTES = 1024;
+
+// 작업 진행 상황을 Server-Sent Events로 전송
+// status → progress(candles_processed, 부분 equity_points)... → result(/api/backtest와 같은 결과) 또는 error
+function streamJob(req, res, job) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onStatus = (status) => send('status', { job_id: job.id, status });
+  const onProgress = (progress) => send('progress', progress);
+  const onEnd = () => {
+    if (job.status === 'done') send('result', job.result);
+    else send('error', { error: job.error.message, ...job.error });
+    cleanup();
+    res.end();
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.events.off('status', onStatus);
+    job.events.off('progress', onProgress);
+    job.events.off('end', onEnd);
+  };
+
+  // 늦게 연결한 클라이언트: 지금까지의 상태부터 전송
+  send('status', { job_id: job.id, status: job.status });
+  if (job.progress) {
+    send('progress', { ...job.progress, equity_points: job.equity_points });
+  }
+
+  if (job.status === 'done' || job.status === 'failed') {
+    return onEnd();
+  }
+
+  job.events.on('status', onStatus);
+  job.events.on('progress', onProgress);
+  job.events.on('end', onEnd);
+  res.on('close', cleanup);
+}
+
+// httpError(status, message, body) → 그대로 응답, 그 외 에러는 500
+function sendError(res, error) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.body });
+  }
+  console.error('❌ Error:', error);
+  res.status(500).json({ error: error.message, stack: error.stack });
+}
 
 app.post('/api/convert-mq', async (req, res) => {
   try {
@@ -45,19 +118,18 @@ ${mq_code}
 
 OUTPUT (JSON only, no markdown):
 {
-  "js_code": "function runStrategy(candles, settings) {...}",
+  "js_code": "function onCandle(ctx) {...}",
   "parameters": {"paramName": {"type": "number", "default": 14, "min": 2, "max": 100, "label": "Label", "category": "strategy"}}
 }
 
 # CORE RULES
-1. Function: runStrategy(candles, settings) returns {trades, equity_curve, roi, mdd, win_rate, total_trades, final_balance}
-2. candles: [{timestamp, open, high, low, close, volume}]
-3. ❌ EXCLUDE: LotSize/Lots/Volume params (Position = initialBalance × equityPercent × leverage)
+1. Function: onCandle(ctx) is called once per candle and returns order intents (or null)
+2. The backtest engine handles position sizing, fills, fees, leverage, liquidation, equity curve and bankruptcy - DO NOT implement them
+3. ❌ EXCLUDE: LotSize/Lots/Volume params (Position = initialBalance × equityPercent × leverage, done by engine)
 4. ✅ INCLUDE: indicator periods (RSI, MA, Stochastic), ATR multiplier, filters, TP/SL
-5. masterReverse: flip buy/sell when settings.masterReverse === true
-6. Track: {entry_time, entry_price, exit_time, exit_price, side, pnl, fee, size, duration, order_type, balance}
-7. Fees: settings.feePercent (0.05% futures, 0.1% spot)
-8. Be CONCISE: <3500 tokens
+5. masterReverse / masterLongEnabled / masterShortEnabled are applied by the engine - DO NOT flip signals yourself
+6. Keep your own variables in ctx.state (persists between candles)
+7. Be CONCISE: <3500 tokens
 
 # CONVERSION RULES
 "CRITICAL: You have a 4000 token limit. Be extremely concise.
@@ -67,10 +139,16 @@ OUTPUT (JSON only, no markdown):
 - Focus on core trading logic only"
 
 ## 1. CORE FUNCTION
-- Function signature: \`function runStrategy(candles, settings) { return {...} }\`
-- Input \`candles\`: Array of {timestamp, open, high, low, close, volume}
-- Input \`settings\`: Object containing all parameters + base settings (symbol, timeframe, market_type, initialBalance, leverage, etc)
-- Output: {trades: [], equity_curve: [], roi, mdd, win_rate, total_trades, final_balance, ...}
+- Function signature: \`function onCandle(ctx) { return intents; }\`
+- Optional: \`function init(ctx)\` called once before the first candle (ctx: {settings, state, candles (empty), indicators})
+- \`ctx.index\`: current candle index, \`ctx.candle\`: {timestamp, open, high, low, close, volume}
+- \`ctx.candles\`, \`ctx.opens\`, \`ctx.highs\`, \`ctx.lows\`, \`ctx.closes\`, \`ctx.volumes\`: history up to and including ctx.index (grows by one candle per call, future candles are not there)
+- Pass indicators a recent window (\`closes.slice(-lookback)\`), never the whole history: recomputing over all candles on every call is too slow
+- \`ctx.settings\`: all parameters + base settings (symbol, timeframe, market_type, initialBalance, leverage, etc)
+- \`ctx.position\`: null or {side: "long"|"short", size, entry_price, entry_index, entry_time, stop_loss, take_profit, unrealized_pnl}
+- \`ctx.balance\`, \`ctx.equity\`, \`ctx.state\` (your persistent object), \`ctx.indicators\`
+- \`ctx.tf('4h')\`: higher-timeframe series {candles, opens, highs, lows, closes, volumes} aligned to ctx.index (see MULTI-TIMEFRAME)
+- Output: null, one intent, or an array of intents (see ORDER INTENTS)
 
 ## 2. WHAT TO INCLUDE
 ✅ Core entry/exit logic (MASTER strategy only, ignore SLAVE/hedging)
@@ -300,102 +378,47 @@ If the MQ code includes custom indicators (not in standard list):
 
 ### Indicator Usage Pattern
 \`\`\`javascript
-// Extract price arrays
-const closes = candles.map(c => c.close);
-const highs = candles.map(c => c.high);
-const lows = candles.map(c => c.low);
-const volumes = candles.map(c => c.volume);
+// Price arrays are provided by the engine (history up to ctx.index)
+const { closes, highs, lows, volumes, settings } = ctx;
+const i = ctx.index;
 
-// Calculate indicators
-const rsi = calculateRSI(closes.slice(0, i + 1), settings.rsiPeriod);
-const bb = calculateBB(closes.slice(0, i + 1), settings.bbPeriod, settings.bbDeviation);
-const macd = calculateMACD(closes.slice(0, i + 1), settings.macdFast, settings.macdSlow, settings.macdSignal);
+// Calculate indicators on a recent window (a few times the longest period)
+const recent = closes.slice(-200);
+const rsi = calculateRSI(recent, settings.rsiPeriod);
+const bb = calculateBB(recent, settings.bbPeriod, settings.bbDeviation);
+const macd = calculateMACD(recent, settings.macdFast, settings.macdSlow, settings.macdSignal);
 
 // Use in signals
 if (rsi < settings.rsiOversold && closes[i] < bb.lower) {
-  // Buy signal
+  return { action: 'buy', reason: 'rsi_oversold' };
 }
 \`\`\`
 
-## 5. FOREX → CRYPTO CONVERSION & POSITION SIZING
+## 5. FOREX → CRYPTO CONVERSION
 
-**CRITICAL - Position Sizing Formula:**
-\`\`\`javascript
-// Calculate position size in BASE ASSET (e.g., BTC, ETH)
-const equity = settings.equityPercent || 10;  // Default 10%
-const lev = settings.market_type === 'futures' ? settings.leverage : 1;
-const positionUSDT = balance * (equity / 100) * lev;
-const positionSize = positionUSDT / entryPrice;  // Convert USDT → Coin
-
-// Example:
-// balance = $10,000
-// equity = 10%
-// leverage = 10x
-// entryPrice = $42,500
-// → positionUSDT = 10,000 × 0.1 × 10 = $10,000
-// → positionSize = 10,000 / 42,500 = 0.235 BTC
+**Position sizing is done by the engine:**
 \`\`\`
-
-**DO NOT USE:**
-- ❌ \`balance * 0.95 * lev\` (uses 95% of entire balance!)
-- ❌ \`LotSize\` from MQ code (forex-specific)
-- ❌ Fixed position sizes
-
-**MUST USE:**
-- ✅ \`settings.equityPercent\` (% of balance per trade)
-- ✅ \`settings.leverage\` (for futures)
-- ✅ Dynamic calculation based on current balance
+Position USDT = balance × equityPercent × leverage (rounded down to $100)
+\`\`\`
+❌ DO NOT calculate position size, lots, fees or balance in the strategy.
 
 **Other conversions:**
 - \`Points/Pips\` → Price difference (BTC: $1, ETH: $0.01, etc)
-- \`OrderSend()\` → Simulated trades with entry/exit tracking
-- \`AccountBalance()\` → \`balance\` variable (start from settings.initialBalance)
-- Fees: \`settings.feePercent\` (default 0.05% for futures, 0.1% for spot)
-
-## POSITION SIZING - MANDATORY IMPLEMENTATION
-
-**Every strategy MUST calculate position size as:**
-\`\`\`javascript
-function calculatePositionSize(balance, entryPrice, settings) {
-  const equity = settings.equityPercent || 10;
-  const lev = settings.market_type === 'futures' ? settings.leverage : 1;
-  const positionUSDT = balance * (equity / 100) * lev;
-  const positionSize = positionUSDT / entryPrice;
-  return positionSize;
-}
-
-// Usage in buy signal:
-if (buySignal && !position) {
-  entryPrice = currentPrice;
-  positionSize = calculatePositionSize(balance, entryPrice, settings);
-  const fee = (balance * (equity / 100) * lev) * (settings.feePercent / 100);
-  balance -= fee;
-  position = 'long';
-}
-\`\`\`
-
-**Key points:**
-1. ✅ Use \`settings.equityPercent\` (NOT hardcoded 95%)
-2. ✅ Calculate USDT amount first, then divide by price
-3. ✅ Position size = COIN amount (e.g., 0.235 BTC)
-4. ✅ Fee calculated on USDT notional value
-5. ✅ **CRITICAL:** Round USDT position to nearest $100
-
-**Position sizing with $100 rounding:**
+- \`OrderSend()\` → return an order intent
+- \`OrderClose()\` → return \`{ action: 'close' }\`
+- \`AccountBalance()\` / \`AccountEquity()\` → \`ctx.balance\` / \`ctx.equity\`
+- \`OrdersTotal()\` / \`PositionSelect()\` → \`ctx.position\`
+
+**MULTI-TIMEFRAME (iMA(Symbol(), PERIOD_H4, ...), iClose(NULL, PERIOD_D1, 1), CopyRates(..., PERIOD_W1, ...)):**
+- Timeframe argument → \`ctx.tf(...)\`: PERIOD_M1 '1m', PERIOD_M5 '5m', PERIOD_M15 '15m', PERIOD_M30 '30m', PERIOD_H1 '1h', PERIOD_H2 '2h', PERIOD_H4 '4h', PERIOD_H8 '8h', PERIOD_D1 '1d', PERIOD_W1 '1w', PERIOD_MN1 '1M'
+- PERIOD_CURRENT / 0 / Period() → the normal ctx arrays (no ctx.tf)
+- The series contains only bars up to now: the LAST element is the current (still forming) bar = MQL shift 0, shift n → \`length - 1 - n\`
+- Pass the series arrays directly to indicators (no slicing needed)
 \`\`\`javascript
-const equity = settings.equityPercent || 10;
-const lev = settings.market_type === 'futures' ? settings.leverage : 1;
-
-// Round to nearest $100
-const rawUSDT = balance * (equity / 100) * lev;
-const positionUSDT = Math.floor(rawUSDT / 100) * 100;
-const positionSize = positionUSDT / entryPrice;
-
-// Example:
-// balance = $10,000, equity = 10%, lev = 10x
-// rawUSDT = 10,000 × 0.1 × 10 = $10,000
-// positionUSDT = floor(10,000 / 100) × 100 = $10,000 ✅
-// positionSize = 10,000 / 42,466.9 = 0.2355 BTC
+const h4 = ctx.tf('4h');
+const maH4 = calculateSMA(h4.closes, settings.maPeriodH4);   // iMA(Symbol(), PERIOD_H4, maPeriodH4, 0, MODE_SMA, PRICE_CLOSE, 0)
+const d1 = ctx.tf('1d');
+const prevDayClose = d1.closes[d1.closes.length - 2];       // iClose(NULL, PERIOD_D1, 1)
 \`\`\`
 
 ## CRITICAL - LOT SIZE EXCLUSION
@@ -474,74 +497,40 @@ input int RSI_Period = 14;  // RSI calculation period
 }
 \`\`\`
 
-## 7. MASTERREVERSE SUPPORT
-Add logic to flip signals when \`settings.masterReverse === true\`:
+## 7. ORDER INTENTS
 \`\`\`javascript
-if (buySignal) {
-  position = settings.masterReverse ? "short" : "long";
-}
-if (sellSignal) {
-  position = settings.masterReverse ? "long" : "short";
-}
+{ action: 'buy' }                                  // market long at next candle open (closes a short first)
+{ action: 'sell' }                                 // market short (futures) / close long (spot)
+{ action: 'close', reason: 'exit_signal' }         // close current position
+{ action: 'buy', type: 'limit', price: 42000 }     // BUY LIMIT (also 'stop' for BUY STOP / SELL STOP)
+{ action: 'cancel' }                               // cancel pending limit/stop orders
+// optional on buy/sell: stopLoss, takeProfit (absolute prices), reason
 \`\`\`
 
-## 8. TRADE TRACKING
-Track every trade with:
+**Example:**
 \`\`\`javascript
-trades.push({
-  entry_time: candles[entryIdx].timestamp,
-  entry_price: entryPrice,
-  exit_time: candles[i].timestamp,
-  exit_price: exitPrice,
-  side: position.toUpperCase(),
-  pnl: profitLoss,
-  fee: totalFee,
-  size: positionSize,  // COIN 개수 (USDT 아님!)
-  duration: i - entryIdx,
-  order_type: "BUY STOP" | "SELL STOP" | "BUY LIMIT" | "SELL LIMIT",
-  balance: currentBalance
-});
-\`\`\`
-
-**CRITICAL: Stop trading if balance <= 0:**
-\`\`\`javascript
-// Exit loop if bankrupt
-if (balance <= 0) {
-  console.log('Bankrupt at candle', i);
-  break;
+function onCandle(ctx) {
+  const { closes, settings, position } = ctx;
+  const i = ctx.index;
+  if (i < settings.slowPeriod) return null;
+  const lookback = settings.slowPeriod * 3;
+  const recent = closes.slice(-lookback);
+  const fast = calculateEMA(recent, settings.fastPeriod);
+  const slow = calculateEMA(recent, settings.slowPeriod);
+  const atr = calculateATR(ctx.highs.slice(-lookback), ctx.lows.slice(-lookback), recent, settings.atrPeriod);
+  if (!position && fast > slow) {
+    return { action: 'buy', stopLoss: closes[i] - atr * settings.atrMultiplier };
+  }
+  if (position && position.side === 'long' && fast < slow) {
+    return { action: 'close', reason: 'cross_down' };
+  }
+  return null;
 }
 \`\`\`
 
-## 9. EQUITY CURVE
-Track balance and equity (including unrealized P&L) at every candle:
-\`\`\`javascript
-equityCurve.push({
-  timestamp: candles[i].timestamp,
-  balance: balance,
-  equity: balance + unrealizedPnL,
-  drawdown: (peak - equity) / peak * 100
-});
-\`\`\`
-
-## 10. RETURN OBJECT
-\`\`\`javascript
-return {
-  trades: trades,
-  equity_curve: equityCurve,
-  roi: ((finalBalance - initialBalance) / initialBalance * 100).toFixed(2),
-  mdd: maxDrawdown.toFixed(2),
-  win_rate: (winTrades / totalTrades * 100).toFixed(2),
-  total_trades: totalTrades,
-  final_balance: finalBalance.toFixed(2),
-  initial_balance: initialBalance,
-  symbol: settings.symbol,
-  // ... other stats
-};
-\`\`\`
-
 # IMPORTANT
 - Return ONLY valid JSON (no \`\`\`json wrapper)
-- js_code must be a complete, runnable function
+- js_code must define a complete, runnable onCandle function (plus helper functions)
 - Test your conversion logic mentally - does it make trading sense?
 - Be conservative: if unsure about a feature, omit it with a comment
 
@@ -587,8 +576,8 @@ try {
     if (codeMatch) {
       jsCode = codeMatch[1];
     } else {
-      // function runStrategy로 시작하는 부분 추출
-      const functionMatch = responseText.match(/(function runStrategy[\s\S]*)/);
+      // function onCandle / runStrategy로 시작하는 부분 추출
+      const functionMatch = responseText.match(/(function (?:onCandle|runStrategy)[\s\S]*)/);
       if (functionMatch) {
         jsCode = functionMatch[1];
       }
@@ -608,11 +597,18 @@ try {
     console.log('✅ Success');
     console.log('- Code length:', result.js_code?.length);
     console.log('- Parameters:', Object.keys(result.parameters || {}).length);
+
+    // 미래 데이터 참조 의심 패턴 (확정은 백테스트의 lookahead 검사)
+    const lookaheadWarnings = scanLookahead(result.js_code);
+    if (lookaheadWarnings.length > 0) {
+      console.log('⚠️ Possible lookahead:', lookaheadWarnings.length, 'lines');
+    }
     
     res.json({ 
       success: true, 
       js_code: result.js_code,
-      parameters: result.parameters || {}
+      parameters: result.parameters || {},
+      lookahead_warnings: lookaheadWarnings
     });
     
   } catch (error) {
@@ -622,909 +618,404 @@ try {
 });
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'anthropic-proxy' });
+  res.json({ status: 'ok', service: 'anthropic-proxy', backtest_queue: queueStats(), candle_cache: candleCacheStats() });
 });
 
 // 임시 업로드 API (CSV 파일 업로드용)
+// csv_text(텍스트) 또는 data(JSON 배열)를 받아서 저장 포맷으로 변환 (formats.js)
+// format: 'auto'(기본) | 'csv' | 'binance' | 'mt5' | 'json', columns / delimiter / timezone / time_unit 옵션
+// 저장 전에 검사 → 품질 리포트(quality) 반환 + 저장 (캔들 목록의 health)
+// repair: 'none'(기본, 그대로 저장) | 'drop' | 'forward_fill' | 'reject'(문제 있으면 422)
+// mode: 'replace'(기본) | 'append'(기존 시리즈에 병합)
 app.post('/api/upload-candle', (req, res) => {
   try {
-    const { market_type, symbol, csv_text } = req.body;
-    
-    if (!market_type || !symbol || !csv_text) {
+    const raw = req.body.data ?? req.body.csv_text;
+    if (!raw) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
-    
-    // 디렉토리 생성
-    const dir = path.join(DATA_PATH, market_type);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    // 파일 저장
-    const filePath = path.join(dir, `${symbol}.csv`);
-    fs.writeFileSync(filePath, csv_text, 'utf-8');
-    
-    console.log(`✅ Uploaded: ${market_type}/${symbol}.csv (${csv_text.length} bytes)`);
-    
-    res.json({ 
-      success: true, 
-      message: `Uploaded ${symbol}`,
-      path: filePath
-    });
+
+    res.json(storeCandleUpload(raw, uploadOptions(req.body)));
     
   } catch (error) {
+    if (error.status) return sendError(res, error);
     console.error('❌ Upload error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 타임프레임 변환 함수
-function convertTimeframe(candles, timeframe) {
-  if (timeframe === '1m') return candles;
-  
-  const intervals = { 
-    '5m': 5, 
-    '15m': 15, 
-    '30m': 30, 
-    '1h': 60, 
-    '4h': 240, 
-    '1d': 1440 
-  };
-  
-  const targetMinutes = intervals[timeframe];
-  if (!targetMinutes) return candles;
-  
-  const targetMs = targetMinutes * 60 * 1000;
-  const result = [];
-  
-  let currentBucket = [];
-  let bucketStart = null;
-  
-  for (const candle of candles) {
-    const bucketTimestamp = Math.floor(candle.timestamp / targetMs) * targetMs;
-    
-    if (bucketStart !== bucketTimestamp) {
-      if (currentBucket.length > 0) {
-        result.push({
-          timestamp: bucketStart,
-          open: currentBucket[0].open,
-          high: Math.max(...currentBucket.map(c => c.high)),
-          low: Math.min(...currentBucket.map(c => c.low)),
-          close: currentBucket[currentBucket.length - 1].close,
-          volume: currentBucket.reduce((sum, c) => sum + c.volume, 0)
-        });
-      }
-      
-      bucketStart = bucketTimestamp;
-      currentBucket = [];
-    }
-    
-    currentBucket.push(candle);
+// 분할 업로드 (body 한도보다 큰 파일 / 끊겨도 이어서 전송)
+// 1) POST /api/upload-candle/sessions { market_type, symbol, total_chunks?, mode, repair, format, ... } → upload_id
+// 2) PUT /api/upload-candle/sessions/:uploadId/chunks/:index  (text/plain 또는 { data }) - 순서 무관, 재전송 가능
+// 3) GET /api/upload-candle/sessions/:uploadId → received / missing
+// 4) POST /api/upload-candle/sessions/:uploadId/complete → 이어붙여서 저장 (응답은 /api/upload-candle과 같음)
+app.post('/api/upload-candle/sessions', (req, res) => {
+  try {
+    res.status(201).json(createUploadSession(req.body));
+  } catch (error) {
+    sendError(res, error);
   }
-  
-  if (currentBucket.length > 0) {
-    result.push({
-      timestamp: bucketStart,
-      open: currentBucket[0].open,
-      high: Math.max(...currentBucket.map(c => c.high)),
-      low: Math.min(...currentBucket.map(c => c.low)),
-      close: currentBucket[currentBucket.length - 1].close,
-      volume: currentBucket.reduce((sum, c) => sum + c.volume, 0)
-    });
+});
+
+app.put('/api/upload-candle/sessions/:uploadId/chunks/:index', (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.data;
+    res.json(saveUploadChunk(req.params.uploadId, req.params.index, text));
+  } catch (error) {
+    sendError(res, error);
   }
-  
-  return result;
-}
+});
 
-app.get('/api/candles/list', (req, res) => {
+app.get('/api/upload-candle/sessions/:uploadId', (req, res) => {
   try {
-    const result = {};
-    const markets = ['futures', 'spot'];
-    
-    for (const market of markets) {
-      const dir = path.join(DATA_PATH, market);
-      if (fs.existsSync(dir)) {
-        result[market] = fs.readdirSync(dir).map(file => {
-          const stat = fs.statSync(path.join(dir, file));
-          return {
-            name: file,
-            size: (stat.size / 1024 / 1024).toFixed(1) + 'MB'
-          };
-        });
-      } else {
-        result[market] = [];
-      }
-    }
-    
-    res.json(result);
+    res.json(uploadSessionStatus(req.params.uploadId));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Proxy running on port ${PORT}`);
+app.post('/api/upload-candle/sessions/:uploadId/complete', (req, res) => {
+  try {
+    res.json(completeUploadSession(req.params.uploadId, req.body || {}));
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
-app.post('/api/backtest', async (req, res) => {
+app.delete('/api/upload-candle/sessions/:uploadId', (req, res) => {
   try {
-    const { strategy_id, settings } = req.body;
-    
-    console.log('🔵 Community backtest start');
-    console.log('📊 Strategy:', strategy_id);
-    console.log('📊 Symbol:', settings.symbol);
-    console.log('📊 Period:', settings.startDate, '→', settings.endDate);
-    
-    // 1. Workers API에서 js_code 가져오기
-    console.log('📡 Fetching strategy code...');
-    const strategyUrl = `https://cointop10-api.cointop10-com.workers.dev/api/strategy/${strategy_id}`;
-    const strategyRes = await fetch(strategyUrl);
-    
-    if (!strategyRes.ok) {
-      return res.status(404).json({ error: 'Strategy not found' });
+    abortUploadSession(req.params.uploadId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 캔들 카탈로그 (시리즈별 기간 / 줄 수 / 갭 / 수정 시각, catalog.js에서 캐시)
+// ?market=futures,spot &symbol=BTC* &timeframe=1h,4h
+app.get('/api/candles/list', (req, res) => {
+  try {
+    res.json(listCatalog({
+      market: req.query.market,
+      symbol: req.query.symbol,
+      timeframe: req.query.timeframe
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 종목 상세 (:symbol = BTCUSDT 또는 BTCUSDT_1h)
+// 조회 파라미터(from / to / timeframe / limit / format)가 있으면 캔들 데이터 (query.js)
+//   from / to: ms epoch 또는 날짜 문자열, limit: 페이지 크기 (다음 페이지는 next_from / Link 헤더)
+//   format: 'json'(기본) | 'csv' (Accept: text/csv도 가능), ETag + gzip/br 압축
+app.get('/api/candles/:market/:symbol', (req, res) => {
+  try {
+    if (isCandleQuery(req.query)) {
+      return sendCandleQuery(req, res);
     }
-    
-let { js_code } = await strategyRes.json();
 
-if (!js_code) {
-  return res.status(404).json({ error: 'Strategy has no code' });
-}
+    const details = symbolDetails(req.params.market, req.params.symbol);
+    if (!details) {
+      return res.status(404).json({ error: `Candle series not found: ${req.params.market}/${req.params.symbol}` });
+    }
+    res.json(details);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-// 코드 정제 (Markdown 제거)
-js_code = js_code
-  .replace(/^Here's.*?:\s*/i, '')
-  .replace(/^The.*?:\s*/i, '')
-  .replace(/^This.*?:\s*/i, '')
-  .replace(/```javascript\n?/g, '')
-  .replace(/```json\n?/g, '')
-  .replace(/```\n?/g, '')
-  .trim();
-
-// function runStrategy로 시작하는지 확인
-if (!js_code.includes('function runStrategy')) {
-  return res.status(400).json({ error: 'Invalid strategy code: missing runStrategy function' });
-}
+function sendCandleQuery(req, res) {
+  const plan = resolveCandleQuery(req.params.market, req.params.symbol, req.query, req.get('accept'));
 
-console.log('✅ Strategy code loaded and cleaned');
-    
-// 2. Volume에서 캔들 가져오기
-// 파일명: futures_BTCUSDT.csv 또는 BTCUSDT.csv 모두 시도
-let filePath = path.join(DATA_PATH, settings.market_type, `${settings.symbol}_${settings.timeframe}.csv`);
+  // 원본 파일이 그대로면 데이터를 읽지 않고 304
+  res.set({ ETag: candleQueryEtag(plan), 'Cache-Control': 'no-cache', Vary: 'Accept, Accept-Encoding' });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
 
-console.log('📡 Reading candles from Volume:', filePath);
+  const result = runCandleQuery(plan);
+  const { contentType, body } = formatCandleQuery(plan, result);
 
-if (!fs.existsSync(filePath)) {
-  return res.status(404).json({ error: `Candle file not found: ${settings.symbol}` });
+  res.set('X-Candle-Source', plan.source);
+  if (result.next_from !== null) {
+    const next = new URLSearchParams({ ...req.query, from: String(result.next_from) });
+    res.set({ 'X-Next-From': String(result.next_from), Link: `<${req.baseUrl}${req.path}?${next}>; rel="next"` });
+  }
+  sendCompressed(req, res, contentType, body);
 }
-    
-    const csvText = fs.readFileSync(filePath, 'utf-8');
-    
-    console.log('✅ Candles loaded from Volume');
-    
-    // 3. CSV 파싱
-    const lines = csvText.split('\n').filter(line => line.trim());
-    lines.shift();
-    
-    const allCandles = lines.map(line => {
-      const [timestamp, open, high, low, close, volume] = line.split(',');
-      return {
-        timestamp: parseInt(timestamp),
-        open: parseFloat(open),
-        high: parseFloat(high),
-        low: parseFloat(low),
-        close: parseFloat(close),
-        volume: parseFloat(volume)
-      };
-    });
-    
-    console.log('✅ Parsed:', allCandles.length, 'candles');
-    
-    // 4. 날짜 필터링
-    const startTs = new Date(settings.startDate).getTime();
-    const endTs = new Date(settings.endDate).getTime();
-    const filteredCandles = allCandles.filter(c => 
-      c.timestamp >= startTs && c.timestamp <= endTs
-    );
-    
-    console.log('✅ Filtered:', filteredCandles.length, 'candles');
-    
-    // 5. 타임프레임 변환
-const convertedCandles = filteredCandles;
-console.log('✅ Using pre-built', settings.timeframe, ':', convertedCandles.length, 'candles');
-    
 
-// 6. 표준 지표 함수 정의 (MT4/MT5 전체 + 추가 지표)
-const indicators = {
-  // ========== MOVING AVERAGES ==========
-  calculateSMA: function(prices, period) {
-    const sum = prices.slice(-period).reduce((a, b) => a + b, 0);
-    return sum / period;
-  },
+// Accept-Encoding에 맞춰 br / gzip / deflate 압축 (작은 응답은 그대로)
+function sendCompressed(req, res, contentType, body) {
+  const raw = Buffer.from(body, 'utf-8');
+  const encoding = raw.length >= COMPRESS_MIN_BYTES ? req.acceptsEncodings('br', 'gzip', 'deflate') : false;
+  let payload = raw;
 
-  calculateEMA: function(prices, period) {
-    const k = 2 / (period + 1);
-    let ema = prices[0];
-    for (let i = 1; i < prices.length; i++) {
-      ema = prices[i] * k + ema * (1 - k);
-    }
-    return ema;
-  },
+  if (encoding === 'br') {
+    payload = zlib.brotliCompressSync(raw, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } });
+  } else if (encoding === 'gzip') {
+    payload = zlib.gzipSync(raw);
+  } else if (encoding === 'deflate') {
+    payload = zlib.deflateSync(raw);
+  }
 
-  calculateSMMA: function(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1];
-    let sum = 0;
-    for (let i = 0; i < period; i++) {
-      sum += prices[i];
-    }
-    let smma = sum / period;
-    for (let i = period; i < prices.length; i++) {
-      smma = (smma * (period - 1) + prices[i]) / period;
-    }
-    return smma;
-  },
+  res.set('Content-Type', contentType);
+  if (payload !== raw) res.set('Content-Encoding', encoding);
+  res.set('Content-Length', String(payload.length));
+  res.end(payload);
+}
 
-  calculateLWMA: function(prices, period) {
-    const slice = prices.slice(-period);
-    const weights = Array.from({length: period}, (_, i) => i + 1);
-    const weightSum = weights.reduce((a, b) => a + b, 0);
-    const lwma = slice.reduce((sum, p, i) => sum + p * weights[i], 0) / weightSum;
-    return lwma;
-  },
+const PORT = process.env.PORT || 8080;
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`🚀 Proxy running on port ${PORT}`);
+});
 
-  calculateAMA: function(prices, period = 10, fastPeriod = 2, slowPeriod = 30) {
-    const er = Math.abs(prices[prices.length - 1] - prices[prices.length - 1 - period]) / 
-               prices.slice(-period).reduce((sum, p, i, arr) => i > 0 ? sum + Math.abs(p - arr[i-1]) : sum, 0);
-    const fastSC = 2 / (fastPeriod + 1);
-    const slowSC = 2 / (slowPeriod + 1);
-    const ssc = er * (fastSC - slowSC) + slowSC;
-    const c = ssc * ssc;
-    return prices[prices.length - 1] * c + (prices[prices.length - 2] || prices[prices.length - 1]) * (1 - c);
-  },
+// 백테스트는 모두 대기열(동시 실행 수 제한)을 거친다
+// monte_carlo: { iterations, method, slippage_jitter, ruin_threshold, seed } → 결과에 monte_carlo 추가
+// lookahead_check: false → 룩어헤드(미래 데이터 참조) 검사 생략
+// async: true (또는 ?async=1) → job_id 즉시 반환
+// stream: true (또는 ?stream=1) → 같은 응답으로 SSE 스트리밍
+// 그 외 → 끝날 때까지 기다려 결과 반환
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const { strategy_id, settings } = req.body;
 
-  // ========== OSCILLATORS ==========
-  calculateRSI: function(prices, period = 14) {
-    if (prices.length < period + 1) return 50;
-    let gains = 0, losses = 0;
-    for (let i = prices.length - period; i < prices.length; i++) {
-      const change = prices[i] - prices[i - 1];
-      if (change > 0) gains += change;
-      else losses -= change;
+    if (!strategy_id || !settings) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-  },
 
-  calculateStochastic: function(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
-    const highest = Math.max(...highs.slice(-kPeriod));
-    const lowest = Math.min(...lows.slice(-kPeriod));
-    const k = ((closes[closes.length - 1] - lowest) / (highest - lowest)) * 100;
-    return { k, d: k };
-  },
-
-  calculateMACD: function(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-    const fastEMA = this.calculateEMA(prices, fastPeriod);
-    const slowEMA = this.calculateEMA(prices, slowPeriod);
-    const macd = fastEMA - slowEMA;
-    return { macd, signal: macd, histogram: 0 };
-  },
-
-  calculateCCI: function(highs, lows, closes, period = 20) {
-    const tp = (highs[highs.length - 1] + lows[lows.length - 1] + closes[closes.length - 1]) / 3;
-    const sma = this.calculateSMA(closes, period);
-    const meanDev = closes.slice(-period).reduce((sum, p) => sum + Math.abs(p - sma), 0) / period;
-    return meanDev === 0 ? 0 : (tp - sma) / (0.015 * meanDev);
-  },
-
-  calculateMomentum: function(prices, period = 14) {
-    return prices[prices.length - 1] - prices[prices.length - 1 - period];
-  },
-
-  calculateWilliamsR: function(highs, lows, closes, period = 14) {
-    const highest = Math.max(...highs.slice(-period));
-    const lowest = Math.min(...lows.slice(-period));
-    return ((highest - closes[closes.length - 1]) / (highest - lowest)) * -100;
-  },
+    const asyncMode = req.body.async === true || req.query.async === '1' || req.query.async === 'true';
+    const streamMode = req.body.stream === true || req.query.stream === '1' || req.query.stream === 'true';
+
+    const job = enqueueJob('backtest', (job) => runBacktest(strategy_id, settings, {
+      monteCarlo: req.body.monte_carlo,
+      lookaheadCheck: req.body.lookahead_check,
+      onProgress: (progress) => setJobProgress(job, progress)
+    }), {
+      strategy_id,
+      symbol: settings.symbol,
+      timeframe: settings.timeframe
+    }, { retain: asyncMode || streamMode });
+
+    if (streamMode) {
+      return streamJob(req, res, job);
+    }
 
-  calculateDeMarker: function(highs, lows, period = 14) {
-    let deMax = 0, deMin = 0;
-    for (let i = Math.max(1, highs.length - period); i < highs.length; i++) {
-      const dh = highs[i] > highs[i - 1] ? highs[i] - highs[i - 1] : 0;
-      const dl = lows[i] < lows[i - 1] ? lows[i - 1] - lows[i] : 0;
-      deMax += dh;
-      deMin += dl;
+    if (asyncMode) {
+      console.log('🔵 Backtest queued:', job.id);
+      return res.status(202).json({
+        success: true,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/backtest/${job.id}`
+      });
     }
-    return deMin === 0 ? 100 : (deMax / (deMax + deMin)) * 100;
-  },
 
-  calculateRVI: function(opens, closes, highs, lows, period = 10) {
-    const num = closes[closes.length - 1] - opens[opens.length - 1];
-    const den = highs[highs.length - 1] - lows[lows.length - 1];
-    return den === 0 ? 0 : num / den;
-  },
+    await job.finished;
 
-  // ========== BANDS & CHANNELS ==========
-  calculateBB: function(prices, period = 20, deviation = 2) {
-    const sma = this.calculateSMA(prices, period);
-    const slice = prices.slice(-period);
-    const variance = slice.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / period;
-    const std = Math.sqrt(variance);
-    return {
-      upper: sma + deviation * std,
-      middle: sma,
-      lower: sma - deviation * std
-    };
-  },
+    if (job.status === 'failed') {
+      return sendError(res, job.failure);
+    }
 
-  calculateEnvelopes: function(prices, period = 14, deviation = 0.1) {
-    const ma = this.calculateSMA(prices, period);
-    return {
-      upper: ma * (1 + deviation),
-      lower: ma * (1 - deviation)
-    };
-  },
+    res.json(job.result);
 
-  calculateDonchian: function(highs, lows, period = 20) {
-    return {
-      upper: Math.max(...highs.slice(-period)),
-      middle: (Math.max(...highs.slice(-period)) + Math.min(...lows.slice(-period))) / 2,
-      lower: Math.min(...lows.slice(-period))
-    };
-  },
-
-  calculateKeltner: function(highs, lows, closes, period = 20, multiplier = 2) {
-    const ema = this.calculateEMA(closes, period);
-    const atr = this.calculateATR(highs, lows, closes, period);
-    return {
-      upper: ema + multiplier * atr,
-      middle: ema,
-      lower: ema - multiplier * atr
-    };
-  },
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  calculateStdDev: function(prices, period = 20) {
-    const sma = this.calculateSMA(prices, period);
-    const slice = prices.slice(-period);
-    const variance = slice.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / period;
-    return Math.sqrt(variance);
-  },
+// 비동기 백테스트 상태 조회 (queued / running / done / failed)
+app.get('/api/backtest/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
 
-  // ========== VOLATILITY ==========
-  calculateATR: function(highs, lows, closes, period = 14) {
-    if (highs.length < period + 1) return 0;
-    let tr = 0;
-    for (let i = Math.max(1, highs.length - period); i < highs.length; i++) {
-      const h = highs[i];
-      const l = lows[i];
-      const c = closes[i - 1];
-      tr += Math.max(h - l, Math.abs(h - c), Math.abs(l - c));
-    }
-    return tr / Math.min(period, highs.length - 1);
-  },
+  if (!job || job.type !== 'backtest') {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  // ========== TREND ==========
-  calculateSAR: function(highs, lows, closes, acceleration = 0.02, maximum = 0.2) {
-    const isUptrend = closes[closes.length - 1] > closes[closes.length - 2];
-    return isUptrend ? Math.min(...lows.slice(-5)) : Math.max(...highs.slice(-5));
-  },
+  res.json(serializeJob(job));
+});
 
-  calculateIchimoku: function(highs, lows, tenkan = 9, kijun = 26, senkouB = 52) {
-    const tenkanSen = (Math.max(...highs.slice(-tenkan)) + Math.min(...lows.slice(-tenkan))) / 2;
-    const kijunSen = (Math.max(...highs.slice(-kijun)) + Math.min(...lows.slice(-kijun))) / 2;
-    const senkouA = (tenkanSen + kijunSen) / 2;
-    const senkouSpanB = (Math.max(...highs.slice(-senkouB)) + Math.min(...lows.slice(-senkouB))) / 2;
-    return { tenkan: tenkanSen, kijun: kijunSen, spanA: senkouA, spanB: senkouSpanB };
-  },
+// 비동기 백테스트 진행 상황 SSE 스트림
+app.get('/api/backtest/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
 
-  calculateADX: function(highs, lows, closes, period = 14) {
-    const atr = this.calculateATR(highs, lows, closes, period);
-    return Math.min(100, atr / closes[closes.length - 1] * 100);
-  },
+  if (!job || job.type !== 'backtest') {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  calculateSuperTrend: function(highs, lows, closes, period = 10, multiplier = 3) {
-    const atr = this.calculateATR(highs, lows, closes, period);
-    const hl2 = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
-    const upperBand = hl2 + multiplier * atr;
-    const lowerBand = hl2 - multiplier * atr;
-    const isUptrend = closes[closes.length - 1] > lowerBand;
-    return {
-      value: isUptrend ? lowerBand : upperBand,
-      trend: isUptrend ? 1 : -1
-    };
-  },
+  streamJob(req, res, job);
+});
 
-  calculateAroon: function(highs, lows, period = 25) {
-    const highIndex = highs.slice(-period).lastIndexOf(Math.max(...highs.slice(-period)));
-    const lowIndex = lows.slice(-period).lastIndexOf(Math.min(...lows.slice(-period)));
-    const aroonUp = ((period - highIndex) / period) * 100;
-    const aroonDown = ((period - lowIndex) / period) * 100;
-    return {
-      up: aroonUp,
-      down: aroonDown,
-      oscillator: aroonUp - aroonDown
+// 파라미터 최적화 (그리드 / 랜덤 서치)
+// body: { strategy_id, settings, startDate, endDate, parameters, method, samples, sort_by, async }
+// 조합 전체가 하나의 작업으로 대기열 한 칸만 사용
+app.post('/api/optimize', async (req, res) => {
+  try {
+    const { strategy_id, parameters, method, samples, sort_by } = req.body;
+    const settings = {
+      ...req.body.settings,
+      startDate: req.body.startDate || req.body.settings?.startDate,
+      endDate: req.body.endDate || req.body.settings?.endDate
     };
-  },
 
-  // ========== VOLUME ==========
-  calculateOBV: function(closes, volumes) {
-    let obv = 0;
-    for (let i = 1; i < closes.length; i++) {
-      if (closes[i] > closes[i - 1]) obv += volumes[i];
-      else if (closes[i] < closes[i - 1]) obv -= volumes[i];
+    if (!strategy_id || !req.body.settings || !parameters) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
-    return obv;
-  },
 
-  calculateAD: function(highs, lows, closes, volumes) {
-    let ad = 0;
-    for (let i = 0; i < closes.length; i++) {
-      const clv = ((closes[i] - lows[i]) - (highs[i] - closes[i])) / (highs[i] - lows[i]);
-      ad += clv * volumes[i];
+    const asyncMode = req.body.async === true || req.query.async === '1' || req.query.async === 'true';
+
+    const job = enqueueJob('optimize', (job) => runOptimization(strategy_id, settings, {
+      parameters,
+      method,
+      samples,
+      sort_by,
+      onStep: (completed, total) => setJobStep(job, completed, total)
+    }), {
+      strategy_id,
+      symbol: settings.symbol,
+      timeframe: settings.timeframe,
+      method: method || 'grid'
+    }, { retain: asyncMode });
+
+    if (asyncMode) {
+      console.log('🔵 Optimization queued:', job.id);
+      return res.status(202).json({
+        success: true,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/optimize/${job.id}`
+      });
     }
-    return ad;
-  },
 
-  calculateMFI: function(highs, lows, closes, volumes, period = 14) {
-    let posFlow = 0, negFlow = 0;
-    for (let i = Math.max(1, closes.length - period); i < closes.length; i++) {
-      const tp = (highs[i] + lows[i] + closes[i]) / 3;
-      const mf = tp * volumes[i];
-      if (closes[i] > closes[i - 1]) posFlow += mf;
-      else negFlow += mf;
-    }
-    const mfr = posFlow / negFlow;
-    return 100 - (100 / (1 + mfr));
-  },
+    await job.finished;
 
-  calculateVWAP: function(highs, lows, closes, volumes) {
-    let sumPV = 0, sumV = 0;
-    for (let i = 0; i < closes.length; i++) {
-      const typical = (highs[i] + lows[i] + closes[i]) / 3;
-      sumPV += typical * volumes[i];
-      sumV += volumes[i];
+    if (job.status === 'failed') {
+      return sendError(res, job.failure);
     }
-    return sumV === 0 ? closes[closes.length - 1] : sumPV / sumV;
-  },
-
-  // ========== BILL WILLIAMS ==========
-  calculateAO: function(highs, lows) {
-    const medianPrice = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
-    const sma5 = this.calculateSMA(highs.map((h, i) => (h + lows[i]) / 2), 5);
-    const sma34 = this.calculateSMA(highs.map((h, i) => (h + lows[i]) / 2), 34);
-    return sma5 - sma34;
-  },
-
-  calculateAC: function(highs, lows) {
-    const ao = this.calculateAO(highs, lows);
-    const aoSma = this.calculateSMA([ao], 5);
-    return ao - aoSma;
-  },
 
-  calculateAlligator: function(highs, lows, closes) {
-    const median = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
-    return {
-      jaw: this.calculateSMMA([median], 13),
-      teeth: this.calculateSMMA([median], 8),
-      lips: this.calculateSMMA([median], 5)
-    };
-  },
-
-  calculateFractals: function(highs, lows) {
-    const len = highs.length;
-    if (len < 5) return { up: null, down: null };
-    const upFractal = highs[len - 3] > highs[len - 5] && highs[len - 3] > highs[len - 4] && 
-                      highs[len - 3] > highs[len - 2] && highs[len - 3] > highs[len - 1];
-    const downFractal = lows[len - 3] < lows[len - 5] && lows[len - 3] < lows[len - 4] && 
-                        lows[len - 3] < lows[len - 2] && lows[len - 3] < lows[len - 1];
-    return { up: upFractal ? highs[len - 3] : null, down: downFractal ? lows[len - 3] : null };
-  },
-
-  calculateGator: function(highs, lows, closes) {
-    const alligator = this.calculateAlligator(highs, lows, closes);
-    return {
-      upper: Math.abs(alligator.jaw - alligator.teeth),
-      lower: Math.abs(alligator.teeth - alligator.lips)
-    };
-  },
+    res.json(job.result);
 
-  calculateBWMFI: function(highs, lows, closes, volumes) {
-    const range = highs[highs.length - 1] - lows[lows.length - 1];
-    return range === 0 ? 0 : (volumes[volumes.length - 1] / range);
-  },
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  calculateBearsPower: function(closes, highs, lows, period = 13) {
-    const ema = this.calculateEMA(closes, period);
-    return lows[lows.length - 1] - ema;
-  },
+app.get('/api/optimize/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
 
-  calculateBullsPower: function(closes, highs, lows, period = 13) {
-    const ema = this.calculateEMA(closes, period);
-    return highs[highs.length - 1] - ema;
-  },
+  if (!job || job.type !== 'optimize') {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  calculateForceIndex: function(closes, volumes, period = 13) {
-    const force = (closes[closes.length - 1] - closes[closes.length - 2]) * volumes[volumes.length - 1];
-    return this.calculateEMA([force], period);
-  },
+  res.json(serializeJob(job));
+});
 
-  calculateElderRay: function(closes, highs, lows, period = 13) {
-    const ema = this.calculateEMA(closes, period);
-    return {
-      bullPower: highs[highs.length - 1] - ema,
-      bearPower: lows[lows.length - 1] - ema
+// 워크포워드 분석 (롤링 in-sample 최적화 → out-of-sample 검증)
+// body: { strategy_id, settings, startDate, endDate, parameters, in_sample_days, out_of_sample_days, step_days, anchored, method, samples, sort_by, async }
+app.post('/api/walk-forward', async (req, res) => {
+  try {
+    const { strategy_id, parameters } = req.body;
+    const settings = {
+      ...req.body.settings,
+      startDate: req.body.startDate || req.body.settings?.startDate,
+      endDate: req.body.endDate || req.body.settings?.endDate
     };
-  },
 
-  // ========== PIVOT POINTS ==========
-  calculatePivot: function(high, low, close) {
-    const pivot = (high + low + close) / 3;
-    return {
-      pivot: pivot,
-      r1: 2 * pivot - low,
-      r2: pivot + (high - low),
-      r3: high + 2 * (pivot - low),
-      s1: 2 * pivot - high,
-      s2: pivot - (high - low),
-      s3: low - 2 * (high - pivot)
-    };
-  },
+    if (!strategy_id || !req.body.settings || !parameters) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
 
-  // ========== FIBONACCI ==========
-  calculateFibonacci: function(high, low) {
-    const diff = high - low;
-    return {
-      level_0: high,
-      level_236: high - diff * 0.236,
-      level_382: high - diff * 0.382,
-      level_500: high - diff * 0.500,
-      level_618: high - diff * 0.618,
-      level_786: high - diff * 0.786,
-      level_100: low
-    };
-  },
+    const asyncMode = req.body.async === true || req.query.async === '1' || req.query.async === 'true';
+
+    const job = enqueueJob('walk_forward', (job) => runWalkForward(strategy_id, settings, {
+      ...req.body,
+      onStep: (completed, total) => setJobStep(job, completed, total)
+    }), {
+      strategy_id,
+      symbol: settings.symbol,
+      timeframe: settings.timeframe
+    }, { retain: asyncMode });
+
+    if (asyncMode) {
+      console.log('🔵 Walk-forward queued:', job.id);
+      return res.status(202).json({
+        success: true,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/walk-forward/${job.id}`
+      });
+    }
 
-  // ========== CANDLE PATTERNS ==========
-  isDoji: function(open, high, low, close) {
-    const body = Math.abs(close - open);
-    const range = high - low;
-    return body / range < 0.1;
-  },
+    await job.finished;
 
-  isHammer: function(open, high, low, close) {
-    const body = Math.abs(close - open);
-    const lowerShadow = Math.min(open, close) - low;
-    const upperShadow = high - Math.max(open, close);
-    return lowerShadow > body * 2 && upperShadow < body * 0.5;
-  },
+    if (job.status === 'failed') {
+      return sendError(res, job.failure);
+    }
 
-  isBullishEngulfing: function(candles, index) {
-    if (index < 1) return false;
-    const prev = candles[index - 1];
-    const curr = candles[index];
-    return prev.close < prev.open && 
-           curr.close > curr.open &&
-           curr.open < prev.close &&
-           curr.close > prev.open;
-  },
+    res.json(job.result);
 
-  isBearishEngulfing: function(candles, index) {
-    if (index < 1) return false;
-    const prev = candles[index - 1];
-    const curr = candles[index];
-    return prev.close > prev.open && 
-           curr.close < curr.open &&
-           curr.open > prev.close &&
-           curr.close < prev.open;
-  },
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  isMorningStar: function(candles, index) {
-    if (index < 2) return false;
-    const c1 = candles[index - 2];
-    const c2 = candles[index - 1];
-    const c3 = candles[index];
-    return c1.close < c1.open && 
-           Math.abs(c2.close - c2.open) < Math.abs(c1.close - c1.open) * 0.3 &&
-           c3.close > c3.open &&
-           c3.close > (c1.open + c1.close) / 2;
-  },
+app.get('/api/walk-forward/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
 
-  isEveningStar: function(candles, index) {
-    if (index < 2) return false;
-    const c1 = candles[index - 2];
-    const c2 = candles[index - 1];
-    const c3 = candles[index];
-    return c1.close > c1.open && 
-           Math.abs(c2.close - c2.open) < Math.abs(c1.close - c1.open) * 0.3 &&
-           c3.close < c3.open &&
-           c3.close < (c1.open + c1.close) / 2;
-  },
+  if (!job || job.type !== 'walk_forward') {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  isPinBar: function(open, high, low, close) {
-    const body = Math.abs(close - open);
-    const range = high - low;
-    const upperShadow = high - Math.max(open, close);
-    const lowerShadow = Math.min(open, close) - low;
-    return (upperShadow > body * 3 || lowerShadow > body * 3) && body / range < 0.3;
-  },
+  res.json(serializeJob(job));
+});
 
-  isInsideBar: function(candles, index) {
-    if (index < 1) return false;
-    const prev = candles[index - 1];
-    const curr = candles[index];
-    return curr.high < prev.high && curr.low > prev.low;
-  },
+// 멀티 심볼 포트폴리오 백테스트 (기본: 모든 leg가 잔고 하나를 공유, capital_model 'static'이면 leg마다 고정 자본)
+// body: { settings, legs: [{ symbol, strategy_id, weight, settings }] | symbols: [...] | '*', strategy_id, allocation: 'equal' | 'weight', capital_model: 'shared' | 'static', async }
+app.post('/api/portfolio', async (req, res) => {
+  try {
+    const settings = req.body.settings;
 
-  // ========== PRICE ACTION ==========
-  findSwingHigh: function(highs, period = 5) {
-    if (highs.length < period * 2 + 1) return null;
-    const center = highs.length - period - 1;
-    const centerValue = highs[center];
-    for (let i = center - period; i < center + period; i++) {
-      if (i !== center && highs[i] >= centerValue) return null;
+    if (!settings || !settings.market_type || !settings.timeframe) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
-    return { index: center, value: centerValue };
-  },
 
-  findSwingLow: function(lows, period = 5) {
-    if (lows.length < period * 2 + 1) return null;
-    const center = lows.length - period - 1;
-    const centerValue = lows[center];
-    for (let i = center - period; i < center + period; i++) {
-      if (i !== center && lows[i] <= centerValue) return null;
+    const asyncMode = req.body.async === true || req.query.async === '1' || req.query.async === 'true';
+
+    const job = enqueueJob('portfolio', (job) => runPortfolio(req.body, settings, {
+      onStep: (completed, total) => setJobStep(job, completed, total)
+    }), {
+      market_type: settings.market_type,
+      timeframe: settings.timeframe
+    }, { retain: asyncMode });
+
+    if (asyncMode) {
+      console.log('🔵 Portfolio backtest queued:', job.id);
+      return res.status(202).json({
+        success: true,
+        job_id: job.id,
+        status: job.status,
+        status_url: `/api/portfolio/${job.id}`
+      });
     }
-    return { index: center, value: centerValue };
-  },
 
-  isHigherHigh: function(highs) {
-    return highs.length >= 2 && highs[highs.length - 1] > highs[highs.length - 2];
-  },
+    await job.finished;
 
-  isLowerLow: function(lows) {
-    return lows.length >= 2 && lows[lows.length - 1] < lows[lows.length - 2];
-  },
-
-  findSupportResistance: function(highs, lows, closes, lookback = 50, tolerance = 0.02) {
-    const levels = [];
-    for (let i = closes.length - lookback; i < closes.length; i++) {
-      const price = closes[i];
-      let found = false;
-      for (const level of levels) {
-        if (Math.abs(price - level.price) / level.price < tolerance) {
-          level.touches++;
-          found = true;
-          break;
-        }
-      }
-      if (!found) {
-        levels.push({ price, touches: 1 });
-      }
+    if (job.status === 'failed') {
+      return sendError(res, job.failure);
     }
-    return levels.filter(l => l.touches >= 3).sort((a, b) => b.touches - a.touches);
-  }
-};
-
-// 글로벌 스코프에 함수 추가 (커뮤니티 코드 호환성)
-for (const [key, fn] of Object.entries(indicators)) {
-  if (typeof fn === 'function') {
-    global[key] = fn.bind(indicators);
-  }
-}
-
-// 7. 커뮤니티 전략 기본 파라미터 설정
-const communitySettings = {
-  ...settings,
-  
-  // ========== POSITION SIZING ==========
-  leverage: settings.leverage || 10,
-  equityPercent: settings.equityPercent || 10,
-  compoundEnabled: settings.compoundEnabled || false,
-  maxPositionSize: settings.maxPositionSize || 10000000,
-  
-  // ========== RISK MANAGEMENT ==========
-  stopLoss: settings.stopLoss || null,
-  stopLossPercent: settings.stopLossPercent || null,
-  stopLossPoints: settings.stopLossPoints || null,
-  stopLossATR: settings.stopLossATR || null,
-  
-  takeProfit: settings.takeProfit || null,
-  takeProfitPercent: settings.takeProfitPercent || null,
-  takeProfitPoints: settings.takeProfitPoints || null,
-  takeProfitATR: settings.takeProfitATR || null,
-  
-  trailingStop: settings.trailingStop || null,
-  trailingStopPercent: settings.trailingStopPercent || null,
-  trailingStopDistance: settings.trailingStopDistance || null,
-  trailingStopTrigger: settings.trailingStopTrigger || null,
-  
-  breakEvenEnabled: settings.breakEvenEnabled || false,
-  breakEvenTrigger: settings.breakEvenTrigger || null,
-  breakEvenOffset: settings.breakEvenOffset || 0,
-  
-  maxDrawdown: settings.maxDrawdown || 50,
-  maxDailyLoss: settings.maxDailyLoss || null,
-  maxConsecutiveLosses: settings.maxConsecutiveLosses || null,
-  
-  // ========== PARTIAL CLOSE ==========
-  partialCloseEnabled: settings.partialCloseEnabled || false,
-  partialClosePercent: settings.partialClosePercent || 50,
-  partialCloseTrigger: settings.partialCloseTrigger || null,
-  partialClose2Enabled: settings.partialClose2Enabled || false,
-  partialClose2Percent: settings.partialClose2Percent || 25,
-  partialClose2Trigger: settings.partialClose2Trigger || null,
-  
-  // ========== SCALING ==========
-  scalingInEnabled: settings.scalingInEnabled || false,
-  scalingInLevels: settings.scalingInLevels || 3,
-  scalingInDistance: settings.scalingInDistance || null,
-  
-  scalingOutEnabled: settings.scalingOutEnabled || false,
-  scalingOutLevels: settings.scalingOutLevels || 3,
-  scalingOutDistance: settings.scalingOutDistance || null,
-  
-  // ========== MARTINGALE & RECOVERY ==========
-  martingaleEnabled: settings.martingaleEnabled || false,
-  martingaleMultiplier: settings.martingaleMultiplier || 2.0,
-  maxMartingaleLevel: settings.maxMartingaleLevel || 5,
-  martingaleOnLoss: settings.martingaleOnLoss !== false,
-  
-  antiMartingaleEnabled: settings.antiMartingaleEnabled || false,
-  antiMartingaleMultiplier: settings.antiMartingaleMultiplier || 1.5,
-  
-  recoveryEnabled: settings.recoveryEnabled || false,
-  recoveryTarget: settings.recoveryTarget || 100,
-  recoveryMethod: settings.recoveryMethod || 'grid',
-  
-  // ========== POSITION LIMITS ==========
-  maxPositions: settings.maxPositions || 1,
-  maxLongPositions: settings.maxLongPositions || null,
-  maxShortPositions: settings.maxShortPositions || null,
-  maxDailyTrades: settings.maxDailyTrades || null,
-  maxWeeklyTrades: settings.maxWeeklyTrades || null,
-  
-  // ========== DIRECTION CONTROL ==========
-  masterLongEnabled: settings.masterLongEnabled !== false,
-  masterShortEnabled: settings.masterShortEnabled !== false,
-  masterReverse: settings.masterReverse || false,
-  
-  // ========== TIME FILTERS ==========
-  tradingHours: settings.tradingHours || null,
-  sessionStart: settings.sessionStart || null,
-  sessionEnd: settings.sessionEnd || null,
-  avoidWeekends: settings.avoidWeekends || false,
-  avoidMonday: settings.avoidMonday || false,
-  avoidFriday: settings.avoidFriday || false,
-  
-  // ========== FILTERS ==========
-  volumeFilter: settings.volumeFilter || 0,
-  volatilityFilter: settings.volatilityFilter || null,
-  spreadFilter: settings.spreadFilter || null,
-  trendFilter: settings.trendFilter || null,
-  priceFilter: settings.priceFilter || null,
-  
-  atrPeriod: settings.atrPeriod || 14,
-  atrMultiplier: settings.atrMultiplier || 2.0,
-  
-  // ========== HEDGING & GRID ==========
-  hedgingEnabled: settings.hedgingEnabled || false,
-  hedgingDistance: settings.hedgingDistance || null,
-  hedgingMultiplier: settings.hedgingMultiplier || 1.0,
-  
-  gridTradingEnabled: settings.gridTradingEnabled || false,
-  gridLevels: settings.gridLevels || 5,
-  gridDistance: settings.gridDistance || null,
-  
-  // ========== PYRAMIDING ==========
-  pyramidingEnabled: settings.pyramidingEnabled || false,
-  pyramidingLevels: settings.pyramidingLevels || 3,
-  pyramidingDistance: settings.pyramidingDistance || null,
-  pyramidingMultiplier: settings.pyramidingMultiplier || 1.0,
-  
-  // ========== FEE ==========
-  feePercent: settings.feePercent || (settings.market_type === 'spot' ? 0.1 : 0.05),
-  
-  // ========== OTHERS ==========
-  slippage: settings.slippage || 0,
-  orderTimeout: settings.orderTimeout || null,
-  requireConfirmation: settings.requireConfirmation || false,
-  
-  newsFilterEnabled: settings.newsFilterEnabled || false,
-  newsAvoidMinutes: settings.newsAvoidMinutes || 30,
-  
-  minCandlesRequired: settings.minCandlesRequired || 50,
-  warmupPeriod: settings.warmupPeriod || 100
-};
 
-// 8. communitySettings를 전역 변수로 노출
-for (const [key, value] of Object.entries(communitySettings)) {
-  global[key] = value;
-}
+    res.json(job.result);
 
-// 9. 실행 (에러 핸들링)
-try {
-  eval(js_code);
-  
-  if (typeof runStrategy !== 'function') {
-    throw new Error('runStrategy function not found in strategy code');
-  }
-  
-  const backtestResult = runStrategy(convertedCandles, communitySettings);
-  
-  if (!backtestResult || !backtestResult.trades) {
-    throw new Error('Invalid backtest result: missing trades array');
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  console.log('✅ Backtest complete');
-  console.log('📊 ROI:', backtestResult.roi + '%');
-  console.log('📊 Trades:', backtestResult.total_trades);
-
-  // ✅ 필수 필드 기본값 추가
-const normalizedResult = {
-  trades: (backtestResult.trades || [])
-    .filter(t => t.balance && t.balance > 0)
-    .map(t => {
-// 커뮤니티 전략: size는 코인 개수!
-const coinSize = t.size || 0;
-const usdtSize = t.entry_price && coinSize ? coinSize * t.entry_price : 0;
-      
-      // order_type에 side 정보 추가
-      let orderType = t.order_type || 'MARKET';
-      const side = t.side ? t.side.toUpperCase() : null;
-      
-      if (side && !orderType.includes('BUY') && !orderType.includes('SELL')) {
-        const prefix = side === 'LONG' ? 'BUY' : 'SELL';
-        orderType = `${prefix} ${orderType}`;
-      }
-      
-      return {
-        ...t,
-        coin_size: coinSize ? parseFloat(coinSize.toFixed(8)) : 0,
-        usdt_size: usdtSize ? parseFloat(usdtSize.toFixed(2)) : 0,
-        order_type: orderType,
-        side: side
-      };
-    }),
-  
-  equity_curve: backtestResult.equity_curve || [],
-  roi: parseFloat(backtestResult.roi) || 0,
-  mdd: parseFloat(backtestResult.mdd) || 0,
-  win_rate: parseFloat(backtestResult.win_rate) || 0,
-  total_trades: backtestResult.total_trades || 0,
-  long_trades: backtestResult.long_trades || 0,
-  short_trades: backtestResult.short_trades || 0,
-  winning_trades: backtestResult.winning_trades || 0,
-  losing_trades: backtestResult.losing_trades || 0,
-  max_profit: parseFloat(backtestResult.max_profit) || 0,
-  max_loss: parseFloat(backtestResult.max_loss) || 0,
-  avg_profit: parseFloat(backtestResult.avg_profit) || 0,
-  avg_loss: parseFloat(backtestResult.avg_loss) || 0,
-  avg_duration: backtestResult.avg_duration || 0,
-  max_duration: backtestResult.max_duration || 0,
-  total_fee: parseFloat(backtestResult.total_fee) || 0,
-  final_balance: parseFloat(backtestResult.final_balance) || settings.initialBalance || 10000,
-  initial_balance: settings.initialBalance || 10000,
-symbol: settings.symbol,
-  timeframe: settings.timeframe
-  };
-
-  res.json(normalizedResult);
+app.get('/api/portfolio/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
 
-} catch (evalError) {
-  console.error('❌ Strategy execution error:', evalError);
-  return res.status(500).json({ 
-    error: 'Strategy execution failed: ' + evalError.message,
-    stack: evalError.stack,
-    code_preview: js_code.substring(0, 500)
-  });
-}
-    
-  } catch (error) {
-    console.error('❌ Error:', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: error.stack 
-    });
+  if (!job || job.type !== 'portfolio') {
+    return res.status(404).json({ error: 'Job not found' });
   }
+
+  res.json(serializeJob(job));
 });
@@ -0,0 +1,474 @@
+// 표준 지표 함수 (MT4/MT5 전체 + 추가 지표)
+// 샌드박스 안에서 소스째로 다시 평가되므로 require 없이 순수 함수로만 작성할 것
+const indicators = {
+  // ========== MOVING AVERAGES ==========
+  calculateSMA: function(prices, period) {
+    const sum = prices.slice(-period).reduce((a, b) => a + b, 0);
+    return sum / period;
+  },
+
+  calculateEMA: function(prices, period) {
+    const k = 2 / (period + 1);
+    let ema = prices[0];
+    for (let i = 1; i < prices.length; i++) {
+      ema = prices[i] * k + ema * (1 - k);
+    }
+    return ema;
+  },
+
+  calculateSMMA: function(prices, period) {
+    if (prices.length < period) return prices[prices.length - 1];
+    let sum = 0;
+    for (let i = 0; i < period; i++) {
+      sum += prices[i];
+    }
+    let smma = sum / period;
+    for (let i = period; i < prices.length; i++) {
+      smma = (smma * (period - 1) + prices[i]) / period;
+    }
+    return smma;
+  },
+
+  calculateLWMA: function(prices, period) {
+    const slice = prices.slice(-period);
+    const weights = Array.from({length: period}, (_, i) => i + 1);
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    const lwma = slice.reduce((sum, p, i) => sum + p * weights[i], 0) / weightSum;
+    return lwma;
+  },
+
+  calculateAMA: function(prices, period = 10, fastPeriod = 2, slowPeriod = 30) {
+    const er = Math.abs(prices[prices.length - 1] - prices[prices.length - 1 - period]) / 
+               prices.slice(-period).reduce((sum, p, i, arr) => i > 0 ? sum + Math.abs(p - arr[i-1]) : sum, 0);
+    const fastSC = 2 / (fastPeriod + 1);
+    const slowSC = 2 / (slowPeriod + 1);
+    const ssc = er * (fastSC - slowSC) + slowSC;
+    const c = ssc * ssc;
+    return prices[prices.length - 1] * c + (prices[prices.length - 2] || prices[prices.length - 1]) * (1 - c);
+  },
+
+  // ========== OSCILLATORS ==========
+  calculateRSI: function(prices, period = 14) {
+    if (prices.length < period + 1) return 50;
+    let gains = 0, losses = 0;
+    for (let i = prices.length - period; i < prices.length; i++) {
+      const change = prices[i] - prices[i - 1];
+      if (change > 0) gains += change;
+      else losses -= change;
+    }
+    const avgGain = gains / period;
+    const avgLoss = losses / period;
+    if (avgLoss === 0) return 100;
+    const rs = avgGain / avgLoss;
+    return 100 - (100 / (1 + rs));
+  },
+
+  calculateStochastic: function(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
+    const highest = Math.max(...highs.slice(-kPeriod));
+    const lowest = Math.min(...lows.slice(-kPeriod));
+    const k = ((closes[closes.length - 1] - lowest) / (highest - lowest)) * 100;
+    return { k, d: k };
+  },
+
+  calculateMACD: function(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fastEMA = this.calculateEMA(prices, fastPeriod);
+    const slowEMA = this.calculateEMA(prices, slowPeriod);
+    const macd = fastEMA - slowEMA;
+    return { macd, signal: macd, histogram: 0 };
+  },
+
+  calculateCCI: function(highs, lows, closes, period = 20) {
+    const tp = (highs[highs.length - 1] + lows[lows.length - 1] + closes[closes.length - 1]) / 3;
+    const sma = this.calculateSMA(closes, period);
+    const meanDev = closes.slice(-period).reduce((sum, p) => sum + Math.abs(p - sma), 0) / period;
+    return meanDev === 0 ? 0 : (tp - sma) / (0.015 * meanDev);
+  },
+
+  calculateMomentum: function(prices, period = 14) {
+    return prices[prices.length - 1] - prices[prices.length - 1 - period];
+  },
+
+  calculateWilliamsR: function(highs, lows, closes, period = 14) {
+    const highest = Math.max(...highs.slice(-period));
+    const lowest = Math.min(...lows.slice(-period));
+    return ((highest - closes[closes.length - 1]) / (highest - lowest)) * -100;
+  },
+
+  calculateDeMarker: function(highs, lows, period = 14) {
+    let deMax = 0, deMin = 0;
+    for (let i = Math.max(1, highs.length - period); i < highs.length; i++) {
+      const dh = highs[i] > highs[i - 1] ? highs[i] - highs[i - 1] : 0;
+      const dl = lows[i] < lows[i - 1] ? lows[i - 1] - lows[i] : 0;
+      deMax += dh;
+      deMin += dl;
+    }
+    return deMin === 0 ? 100 : (deMax / (deMax + deMin)) * 100;
+  },
+
+  calculateRVI: function(opens, closes, highs, lows, period = 10) {
+    const num = closes[closes.length - 1] - opens[opens.length - 1];
+    const den = highs[highs.length - 1] - lows[lows.length - 1];
+    return den === 0 ? 0 : num / den;
+  },
+
+  // ========== BANDS & CHANNELS ==========
+  calculateBB: function(prices, period = 20, deviation = 2) {
+    const sma = this.calculateSMA(prices, period);
+    const slice = prices.slice(-period);
+    const variance = slice.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / period;
+    const std = Math.sqrt(variance);
+    return {
+      upper: sma + deviation * std,
+      middle: sma,
+      lower: sma - deviation * std
+    };
+  },
+
+  calculateEnvelopes: function(prices, period = 14, deviation = 0.1) {
+    const ma = this.calculateSMA(prices, period);
+    return {
+      upper: ma * (1 + deviation),
+      lower: ma * (1 - deviation)
+    };
+  },
+
+  calculateDonchian: function(highs, lows, period = 20) {
+    return {
+      upper: Math.max(...highs.slice(-period)),
+      middle: (Math.max(...highs.slice(-period)) + Math.min(...lows.slice(-period))) / 2,
+      lower: Math.min(...lows.slice(-period))
+    };
+  },
+
+  calculateKeltner: function(highs, lows, closes, period = 20, multiplier = 2) {
+    const ema = this.calculateEMA(closes, period);
+    const atr = this.calculateATR(highs, lows, closes, period);
+    return {
+      upper: ema + multiplier * atr,
+      middle: ema,
+      lower: ema - multiplier * atr
+    };
+  },
+
+  calculateStdDev: function(prices, period = 20) {
+    const sma = this.calculateSMA(prices, period);
+    const slice = prices.slice(-period);
+    const variance = slice.reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / period;
+    return Math.sqrt(variance);
+  },
+
+  // ========== VOLATILITY ==========
+  calculateATR: function(highs, lows, closes, period = 14) {
+    if (highs.length < period + 1) return 0;
+    let tr = 0;
+    for (let i = Math.max(1, highs.length - period); i < highs.length; i++) {
+      const h = highs[i];
+      const l = lows[i];
+      const c = closes[i - 1];
+      tr += Math.max(h - l, Math.abs(h - c), Math.abs(l - c));
+    }
+    return tr / Math.min(period, highs.length - 1);
+  },
+
+  // ========== TREND ==========
+  calculateSAR: function(highs, lows, closes, acceleration = 0.02, maximum = 0.2) {
+    const isUptrend = closes[closes.length - 1] > closes[closes.length - 2];
+    return isUptrend ? Math.min(...lows.slice(-5)) : Math.max(...highs.slice(-5));
+  },
+
+  calculateIchimoku: function(highs, lows, tenkan = 9, kijun = 26, senkouB = 52) {
+    const tenkanSen = (Math.max(...highs.slice(-tenkan)) + Math.min(...lows.slice(-tenkan))) / 2;
+    const kijunSen = (Math.max(...highs.slice(-kijun)) + Math.min(...lows.slice(-kijun))) / 2;
+    const senkouA = (tenkanSen + kijunSen) / 2;
+    const senkouSpanB = (Math.max(...highs.slice(-senkouB)) + Math.min(...lows.slice(-senkouB))) / 2;
+    return { tenkan: tenkanSen, kijun: kijunSen, spanA: senkouA, spanB: senkouSpanB };
+  },
+
+  calculateADX: function(highs, lows, closes, period = 14) {
+    const atr = this.calculateATR(highs, lows, closes, period);
+    return Math.min(100, atr / closes[closes.length - 1] * 100);
+  },
+
+  calculateSuperTrend: function(highs, lows, closes, period = 10, multiplier = 3) {
+    const atr = this.calculateATR(highs, lows, closes, period);
+    const hl2 = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
+    const upperBand = hl2 + multiplier * atr;
+    const lowerBand = hl2 - multiplier * atr;
+    const isUptrend = closes[closes.length - 1] > lowerBand;
+    return {
+      value: isUptrend ? lowerBand : upperBand,
+      trend: isUptrend ? 1 : -1
+    };
+  },
+
+  calculateAroon: function(highs, lows, period = 25) {
+    const highIndex = highs.slice(-period).lastIndexOf(Math.max(...highs.slice(-period)));
+    const lowIndex = lows.slice(-period).lastIndexOf(Math.min(...lows.slice(-period)));
+    const aroonUp = ((period - highIndex) / period) * 100;
+    const aroonDown = ((period - lowIndex) / period) * 100;
+    return {
+      up: aroonUp,
+      down: aroonDown,
+      oscillator: aroonUp - aroonDown
+    };
+  },
+
+  // ========== VOLUME ==========
+  calculateOBV: function(closes, volumes) {
+    let obv = 0;
+    for (let i = 1; i < closes.length; i++) {
+      if (closes[i] > closes[i - 1]) obv += volumes[i];
+      else if (closes[i] < closes[i - 1]) obv -= volumes[i];
+    }
+    return obv;
+  },
+
+  calculateAD: function(highs, lows, closes, volumes) {
+    let ad = 0;
+    for (let i = 0; i < closes.length; i++) {
+      const clv = ((closes[i] - lows[i]) - (highs[i] - closes[i])) / (highs[i] - lows[i]);
+      ad += clv * volumes[i];
+    }
+    return ad;
+  },
+
+  calculateMFI: function(highs, lows, closes, volumes, period = 14) {
+    let posFlow = 0, negFlow = 0;
+    for (let i = Math.max(1, closes.length - period); i < closes.length; i++) {
+      const tp = (highs[i] + lows[i] + closes[i]) / 3;
+      const mf = tp * volumes[i];
+      if (closes[i] > closes[i - 1]) posFlow += mf;
+      else negFlow += mf;
+    }
+    const mfr = posFlow / negFlow;
+    return 100 - (100 / (1 + mfr));
+  },
+
+  calculateVWAP: function(highs, lows, closes, volumes) {
+    let sumPV = 0, sumV = 0;
+    for (let i = 0; i < closes.length; i++) {
+      const typical = (highs[i] + lows[i] + closes[i]) / 3;
+      sumPV += typical * volumes[i];
+      sumV += volumes[i];
+    }
+    return sumV === 0 ? closes[closes.length - 1] : sumPV / sumV;
+  },
+
+  // ========== BILL WILLIAMS ==========
+  calculateAO: function(highs, lows) {
+    const medianPrice = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
+    const sma5 = this.calculateSMA(highs.map((h, i) => (h + lows[i]) / 2), 5);
+    const sma34 = this.calculateSMA(highs.map((h, i) => (h + lows[i]) / 2), 34);
+    return sma5 - sma34;
+  },
+
+  calculateAC: function(highs, lows) {
+    const ao = this.calculateAO(highs, lows);
+    const aoSma = this.calculateSMA([ao], 5);
+    return ao - aoSma;
+  },
+
+  calculateAlligator: function(highs, lows, closes) {
+    const median = (highs[highs.length - 1] + lows[lows.length - 1]) / 2;
+    return {
+      jaw: this.calculateSMMA([median], 13),
+      teeth: this.calculateSMMA([median], 8),
+      lips: this.calculateSMMA([median], 5)
+    };
+  },
+
+  calculateFractals: function(highs, lows) {
+    const len = highs.length;
+    if (len < 5) return { up: null, down: null };
+    const upFractal = highs[len - 3] > highs[len - 5] && highs[len - 3] > highs[len - 4] && 
+                      highs[len - 3] > highs[len - 2] && highs[len - 3] > highs[len - 1];
+    const downFractal = lows[len - 3] < lows[len - 5] && lows[len - 3] < lows[len - 4] && 
+                        lows[len - 3] < lows[len - 2] && lows[len - 3] < lows[len - 1];
+    return { up: upFractal ? highs[len - 3] : null, down: downFractal ? lows[len - 3] : null };
+  },
+
+  calculateGator: function(highs, lows, closes) {
+    const alligator = this.calculateAlligator(highs, lows, closes);
+    return {
+      upper: Math.abs(alligator.jaw - alligator.teeth),
+      lower: Math.abs(alligator.teeth - alligator.lips)
+    };
+  },
+
+  calculateBWMFI: function(highs, lows, closes, volumes) {
+    const range = highs[highs.length - 1] - lows[lows.length - 1];
+    return range === 0 ? 0 : (volumes[volumes.length - 1] / range);
+  },
+
+  calculateBearsPower: function(closes, highs, lows, period = 13) {
+    const ema = this.calculateEMA(closes, period);
+    return lows[lows.length - 1] - ema;
+  },
+
+  calculateBullsPower: function(closes, highs, lows, period = 13) {
+    const ema = this.calculateEMA(closes, period);
+    return highs[highs.length - 1] - ema;
+  },
+
+  calculateForceIndex: function(closes, volumes, period = 13) {
+    const force = (closes[closes.length - 1] - closes[closes.length - 2]) * volumes[volumes.length - 1];
+    return this.calculateEMA([force], period);
+  },
+
+  calculateElderRay: function(closes, highs, lows, period = 13) {
+    const ema = this.calculateEMA(closes, period);
+    return {
+      bullPower: highs[highs.length - 1] - ema,
+      bearPower: lows[lows.length - 1] - ema
+    };
+  },
+
+  // ========== PIVOT POINTS ==========
+  calculatePivot: function(high, low, close) {
+    const pivot = (high + low + close) / 3;
+    return {
+      pivot: pivot,
+      r1: 2 * pivot - low,
+      r2: pivot + (high - low),
+      r3: high + 2 * (pivot - low),
+      s1: 2 * pivot - high,
+      s2: pivot - (high - low),
+      s3: low - 2 * (high - pivot)
+    };
+  },
+
+  // ========== FIBONACCI ==========
+  calculateFibonacci: function(high, low) {
+    const diff = high - low;
+    return {
+      level_0: high,
+      level_236: high - diff * 0.236,
+      level_382: high - diff * 0.382,
+      level_500: high - diff * 0.500,
+      level_618: high - diff * 0.618,
+      level_786: high - diff * 0.786,
+      level_100: low
+    };
+  },
+
+  // ========== CANDLE PATTERNS ==========
+  isDoji: function(open, high, low, close) {
+    const body = Math.abs(close - open);
+    const range = high - low;
+    return body / range < 0.1;
+  },
+
+  isHammer: function(open, high, low, close) {
+    const body = Math.abs(close - open);
+    const lowerShadow = Math.min(open, close) - low;
+    const upperShadow = high - Math.max(open, close);
+    return lowerShadow > body * 2 && upperShadow < body * 0.5;
+  },
+
+  isBullishEngulfing: function(candles, index) {
+    if (index < 1) return false;
+    const prev = candles[index - 1];
+    const curr = candles[index];
+    return prev.close < prev.open && 
+           curr.close > curr.open &&
+           curr.open < prev.close &&
+           curr.close > prev.open;
+  },
+
+  isBearishEngulfing: function(candles, index) {
+    if (index < 1) return false;
+    const prev = candles[index - 1];
+    const curr = candles[index];
+    return prev.close > prev.open && 
+           curr.close < curr.open &&
+           curr.open > prev.close &&
+           curr.close < prev.open;
+  },
+
+  isMorningStar: function(candles, index) {
+    if (index < 2) return false;
+    const c1 = candles[index - 2];
+    const c2 = candles[index - 1];
+    const c3 = candles[index];
+    return c1.close < c1.open && 
+           Math.abs(c2.close - c2.open) < Math.abs(c1.close - c1.open) * 0.3 &&
+           c3.close > c3.open &&
+           c3.close > (c1.open + c1.close) / 2;
+  },
+
+  isEveningStar: function(candles, index) {
+    if (index < 2) return false;
+    const c1 = candles[index - 2];
+    const c2 = candles[index - 1];
+    const c3 = candles[index];
+    return c1.close > c1.open && 
+           Math.abs(c2.close - c2.open) < Math.abs(c1.close - c1.open) * 0.3 &&
+           c3.close < c3.open &&
+           c3.close < (c1.open + c1.close) / 2;
+  },
+
+  isPinBar: function(open, high, low, close) {
+    const body = Math.abs(close - open);
+    const range = high - low;
+    const upperShadow = high - Math.max(open, close);
+    const lowerShadow = Math.min(open, close) - low;
+    return (upperShadow > body * 3 || lowerShadow > body * 3) && body / range < 0.3;
+  },
+
+  isInsideBar: function(candles, index) {
+    if (index < 1) return false;
+    const prev = candles[index - 1];
+    const curr = candles[index];
+    return curr.high < prev.high && curr.low > prev.low;
+  },
+
+  // ========== PRICE ACTION ==========
+  findSwingHigh: function(highs, period = 5) {
+    if (highs.length < period * 2 + 1) return null;
+    const center = highs.length - period - 1;
+    const centerValue = highs[center];
+    for (let i = center - period; i < center + period; i++) {
+      if (i !== center && highs[i] >= centerValue) return null;
+    }
+    return { index: center, value: centerValue };
+  },
+
+  findSwingLow: function(lows, period = 5) {
+    if (lows.length < period * 2 + 1) return null;
+    const center = lows.length - period - 1;
+    const centerValue = lows[center];
+    for (let i = center - period; i < center + period; i++) {
+      if (i !== center && lows[i] <= centerValue) return null;
+    }
+    return { index: center, value: centerValue };
+  },
+
+  isHigherHigh: function(highs) {
+    return highs.length >= 2 && highs[highs.length - 1] > highs[highs.length - 2];
+  },
+
+  isLowerLow: function(lows) {
+    return lows.length >= 2 && lows[lows.length - 1] < lows[lows.length - 2];
+  },
+
+  findSupportResistance: function(highs, lows, closes, lookback = 50, tolerance = 0.02) {
+    const levels = [];
+    for (let i = closes.length - lookback; i < closes.length; i++) {
+      const price = closes[i];
+      let found = false;
+      for (const level of levels) {
+        if (Math.abs(price - level.price) / level.price < tolerance) {
+          level.touches++;
+          found = true;
+          break;
+        }
+      }
+      if (!found) {
+        levels.push({ price, touches: 1 });
+      }
+    }
+    return levels.filter(l => l.touches >= 3).sort((a, b) => b.touches - a.touches);
+  }
+};
+
+module.exports = indicators;
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { httpError } = require('./errors');
+
+// 동시에 실행할 백테스트 수 (나머지는 대기열에서 순서대로)
+const BACKTEST_CONCURRENCY = parseInt(process.env.BACKTEST_CONCURRENCY) || 2;
+// 끝난 작업 결과를 메모리에 보관하는 시간
+const JOB_TTL_MS = parseInt(process.env.BACKTEST_JOB_TTL_MS) || 60 * 60 * 1000;
+// 대기열이 이만큼 차 있으면 새 작업은 429
+const BACKTEST_QUEUE_LIMIT = parseInt(process.env.BACKTEST_QUEUE_LIMIT) || 100;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+// 작업 등록 → 대기열에 넣고 바로 job 반환
+// task: async (job) => result
+// job.finished 는 성공/실패와 관계없이 끝나면 resolve 된다
+// job.events: 'status' / 'progress' / 'end' (SSE 스트리밍용)
+// options.retain: false → 끝나면 바로 목록에서 제거 (결과를 기다리는 요청이 직접 받아가는 동기 작업)
+function enqueueJob(type, task, meta = {}, options = {}) {
+  if (queue.length >= BACKTEST_QUEUE_LIMIT) {
+    throw httpError(429, 'Backtest queue is full, try again later', { queued: queue.length, limit: BACKTEST_QUEUE_LIMIT });
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: null,
+    equity_points: [],
+    meta,
+    result: null,
+    error: null,
+    failure: null,
+    created_at: Date.now(),
+    started_at: null,
+    finished_at: null,
+    retain: options.retain !== false,
+    events: new EventEmitter()
+  };
+
+  job.events.setMaxListeners(0);
+  job.finished = new Promise(resolve => {
+    queue.push({ job, task, resolve });
+  });
+
+  jobs.set(job.id, job);
+  pump();
+
+  return job;
+}
+
+function pump() {
+  while (running < BACKTEST_CONCURRENCY && queue.length > 0) {
+    const entry = queue.shift();
+    running++;
+    runJob(entry).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+async function runJob({ job, task, resolve }) {
+  job.status = 'running';
+  job.started_at = Date.now();
+  job.events.emit('status', job.status);
+
+  try {
+    job.result = await task(job);
+    job.status = 'done';
+  } catch (error) {
+    job.status = 'failed';
+    job.failure = error;
+    job.error = { message: error.message, status: error.status || 500, ...error.body };
+  }
+
+  job.finished_at = Date.now();
+  if (job.retain) {
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  } else {
+    jobs.delete(job.id);
+  }
+  job.events.emit('end', job);
+  resolve(job);
+}
+
+// 워커 진행 상황 → 작업 진행률 (+ 부분 자산곡선 누적)
+function setJobProgress(job, { candles_processed, total_candles, equity_points = [] }) {
+  job.progress = {
+    candles_processed,
+    total_candles,
+    percent: total_candles ? parseFloat((candles_processed / total_candles * 100).toFixed(1)) : 0
+  };
+  job.equity_points.push(...equity_points);
+  job.events.emit('progress', { ...job.progress, equity_points });
+}
+
+// 조합/윈도우 단위 작업 (최적화 등) 진행률
+function setJobStep(job, completed, total) {
+  job.progress = {
+    completed,
+    total,
+    percent: total ? parseFloat((completed / total * 100).toFixed(1)) : 0
+  };
+  job.events.emit('progress', job.progress);
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// API 응답용 (내부 필드 제외)
+function serializeJob(job) {
+  const position = queue.findIndex(entry => entry.job === job);
+
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    queue_position: position >= 0 ? position + 1 : null,
+    progress: job.status === 'done' ? { ...job.progress, percent: 100 } : job.progress,
+    meta: job.meta,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    result: job.status === 'done' ? job.result : null,
+    error: job.error
+  };
+}
+
+function queueStats() {
+  return { running, queued: queue.length, queue_limit: BACKTEST_QUEUE_LIMIT, concurrency: BACKTEST_CONCURRENCY, jobs: jobs.size };
+}
+
+module.exports = { enqueueJob, setJobProgress, setJobStep, getJob, serializeJob, queueStats, BACKTEST_CONCURRENCY };
@@ -0,0 +1,129 @@
+// 룩어헤드(미래 데이터 참조) 검사
+// 1) 동적: 데이터 앞부분만 잘라서 다시 실행 → 같은 구간의 결정이 전체 실행과 다르면 미래를 본 것
+//    잘린 실행에서는 ctx 배열 접근도 감시해서 ctx.index 이후를 읽은 위치를 기록 (engine.js env.lookahead)
+// 2) 정적: 생성된 코드에서 흔한 실수 패턴 검색 (/api/convert-mq)
+
+// 잘린 실행 길이 상한 (배열 접근 감시 비용 때문에)
+const LOOKAHEAD_MAX_CANDLES = parseInt(process.env.LOOKAHEAD_MAX_CANDLES) || 2000;
+const LOOKAHEAD_MIN_CANDLES = 20;
+
+const STATIC_PATTERNS = [
+  {
+    pattern: /\w+\[\s*(?:i|idx|index|ctx\.index)\s*\+\s*\d+\s*\]/,
+    message: 'Reads a future candle (x[i + n])'
+  },
+  {
+    pattern: /calculate\w+\(\s*(?:ctx\.)?(?:closes|opens|highs|lows|volumes)\s*[,)]/,
+    message: 'Indicator computed on the whole series (future data in runStrategy, O(n²) in onCandle): pass a recent window like closes.slice(-lookback)'
+  }
+];
+
+// 잘라낼 위치 (너무 짧으면 null → 검사 생략)
+function lookaheadCutoff(totalCandles) {
+  const cut = Math.min(Math.floor(totalCandles / 2), LOOKAHEAD_MAX_CANDLES);
+  return cut >= LOOKAHEAD_MIN_CANDLES ? cut : null;
+}
+
+// 코드 줄 단위 정적 검사 (의심 패턴, 확정 아님)
+function scanLookahead(jsCode) {
+  const findings = [];
+
+  String(jsCode || '').split('\n').forEach((line, index) => {
+    for (const { pattern, message } of STATIC_PATTERNS) {
+      if (pattern.test(line)) {
+        findings.push({ type: 'static', message, line: index + 1, snippet: line.trim().substring(0, 200) });
+      }
+    }
+  });
+
+  return findings;
+}
+
+// onCandle 결정 비교: 잘린 실행의 마지막 캔들 전까지 첫 번째로 달라진 결정
+function firstDecisionMismatch(full, truncated, cut) {
+  const limit = cut - 1;
+  const a = full.filter(d => d.index < limit);
+  const b = truncated.filter(d => d.index < limit);
+
+  for (let k = 0; k < Math.max(a.length, b.length); k++) {
+    const x = a[k];
+    const y = b[k];
+    if (!x || !y || x.index !== y.index || x.intents !== y.intents) {
+      const index = Math.min(x ? x.index : Infinity, y ? y.index : Infinity);
+      return {
+        index,
+        full: x && x.index === index ? JSON.parse(x.intents) : null,
+        truncated: y && y.index === index ? JSON.parse(y.intents) : null
+      };
+    }
+  }
+  return null;
+}
+
+// 레거시 runStrategy: 잘린 구간 안에서 끝난 거래 비교
+function firstTradeMismatch(full, truncated, untilTs) {
+  const key = t => `${t.entry_time}|${t.exit_time}|${t.entry_price}|${t.exit_price}|${t.side}`;
+  const a = (full || []).filter(t => t.exit_time < untilTs).map(key);
+  const b = (truncated || []).filter(t => t.exit_time < untilTs).map(key);
+
+  for (let k = 0; k < Math.max(a.length, b.length); k++) {
+    if (a[k] !== b[k]) return { trade: k, full: a[k] || null, truncated: b[k] || null };
+  }
+  return null;
+}
+
+// 동적 검사
+// run(candles, lookaheadOptions) → 백테스트 결과 (같은 전략/설정으로 실행)
+// fullResult: recordUntil = cut 으로 실행한 전체 결과
+async function checkLookahead(run, candles, fullResult, cut) {
+  const findings = [];
+  let truncated;
+
+  try {
+    truncated = await run(candles.slice(0, cut), { recordUntil: cut, probe: true });
+  } catch (error) {
+    // 데이터 끝에서 candles[i + 1] 같은 접근은 undefined → 에러로 드러나는 경우가 많음
+    findings.push({
+      type: 'truncated_run_failed',
+      message: `Strategy failed when the data ended at candle ${cut}: ${error.message}`
+    });
+    return { checked: true, method: 'truncation', truncated_at: cut, detected: true, findings };
+  }
+
+  const isEngine = fullResult.engine === 'proxy' && fullResult.lookahead && truncated.lookahead;
+
+  if (isEngine) {
+    const reads = truncated.lookahead.future_reads;
+    if (reads.count > 0) {
+      const first = reads.samples[0];
+      findings.push({
+        type: 'future_read',
+        message: `Strategy read ${first.field}[${first.read_index}] while deciding on candle ${first.index}`,
+        count: reads.count,
+        samples: reads.samples
+      });
+    }
+
+    const mismatch = firstDecisionMismatch(fullResult.lookahead.decisions, truncated.lookahead.decisions, cut);
+    if (mismatch) {
+      findings.push({
+        type: 'decision_mismatch',
+        message: `Decision on candle ${mismatch.index} changes when later candles are removed`,
+        ...mismatch
+      });
+    }
+  } else {
+    const mismatch = firstTradeMismatch(fullResult.trades, truncated.trades, candles[cut - 1].timestamp);
+    if (mismatch) {
+      findings.push({
+        type: 'trade_mismatch',
+        message: `Trade #${mismatch.trade + 1} changes when later candles are removed`,
+        ...mismatch
+      });
+    }
+  }
+
+  return { checked: true, method: 'truncation', truncated_at: cut, detected: findings.length > 0, findings };
+}
+
+module.exports = { LOOKAHEAD_MAX_CANDLES, lookaheadCutoff, scanLookahead, checkLookahead };
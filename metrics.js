@@ -0,0 +1,400 @@
+// 백테스트 결과 분석 (성과 지표 재계산, 몬테카를로 등)
+
+const { httpError } = require('./errors');
+
+const MONTE_CARLO_MAX_ITERATIONS = 10000;
+const MONTE_CARLO_METHODS = ['shuffle', 'bootstrap'];
+// 몬테카를로는 메인 스레드에서 동기로 돌기 때문에 반복 횟수 × 거래 수 합계를 제한 (넘으면 반복 횟수를 줄임)
+const MONTE_CARLO_MAX_STEPS = parseInt(process.env.MONTE_CARLO_MAX_STEPS) || 5000000;
+
+// 재현 가능한 난수 (seed 지정 시)
+function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random;
+  let a = (parseInt(seed) || 0) >>> 0;
+  return function mulberry32() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function percentileBands(values) {
+  const sorted = Float64Array.from(values).sort();
+  const round = (v) => parseFloat(v.toFixed(2));
+  return {
+    p5: round(percentile(sorted, 5)),
+    p25: round(percentile(sorted, 25)),
+    p50: round(percentile(sorted, 50)),
+    p75: round(percentile(sorted, 75)),
+    p95: round(percentile(sorted, 95))
+  };
+}
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// 전략이 직접 보고한 값과 재계산 값 비교 대상 (허용 오차: 절대값 또는 상대 1%)
+const REPORTED_FIELDS = {
+  roi: 0.05,
+  mdd: 0.05,
+  win_rate: 0.05,
+  total_trades: 0,
+  winning_trades: 0,
+  losing_trades: 0,
+  final_balance: 0.01,
+  total_fee: 0.01,
+  avg_profit: 0.01,
+  avg_loss: 0.01
+};
+
+const round = (v, digits = 2) => Number.isFinite(v) ? parseFloat(v.toFixed(digits)) : null;
+const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+function stdDev(arr, avg = mean(arr)) {
+  if (arr.length < 2) return 0;
+  return Math.sqrt(arr.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (arr.length - 1));
+}
+
+// 자산곡선 (equity 없으면 balance) → 최대 낙폭 %
+function maxDrawdownOf(values) {
+  let peak = -Infinity;
+  let mdd = 0;
+  for (const v of values) {
+    if (v > peak) peak = v;
+    if (peak > 0) mdd = Math.max(mdd, (peak - v) / peak * 100);
+  }
+  return mdd;
+}
+
+// 자산곡선 간격의 중앙값 → 연간 구간 수 (Sharpe/Sortino 연율화용)
+function periodsPerYear(timestamps) {
+  const deltas = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const d = timestamps[i] - timestamps[i - 1];
+    if (d > 0) deltas.push(d);
+  }
+  if (deltas.length === 0) return null;
+  deltas.sort((a, b) => a - b);
+  return YEAR_MS / deltas[Math.floor(deltas.length / 2)];
+}
+
+function streaks(pnls) {
+  let wins = 0, losses = 0, maxWins = 0, maxLosses = 0;
+  for (const pnl of pnls) {
+    if (pnl > 0) {
+      wins++;
+      losses = 0;
+    } else if (pnl < 0) {
+      losses++;
+      wins = 0;
+    } else {
+      wins = 0;
+      losses = 0;
+    }
+    maxWins = Math.max(maxWins, wins);
+    maxLosses = Math.max(maxLosses, losses);
+  }
+  return { maxWins, maxLosses };
+}
+
+// trades + equity_curve만으로 요약 통계 전체를 다시 계산
+// 전략이 돌려준 roi/mdd/win_rate 등은 참고용으로만 비교한다
+function computePerformance(trades, equityCurve, initialBalance) {
+  const pnls = trades.map(t => parseFloat(t.pnl) || 0);
+  const wins = pnls.filter(p => p > 0);
+  const losses = pnls.filter(p => p < 0);
+  const durations = trades.map(t => parseFloat(t.duration) || 0);
+  const grossProfit = wins.reduce((a, b) => a + b, 0);
+  const grossLoss = -losses.reduce((a, b) => a + b, 0);
+
+  const curve = equityCurve
+    .map(p => ({ timestamp: p.timestamp, value: parseFloat(p.equity ?? p.balance) }))
+    .filter(p => Number.isFinite(p.value));
+
+  // 최종 잔고: 거래 손익 합계 기준 (거래가 없으면 자산곡선 마지막 값)
+  const finalBalance = trades.length > 0
+    ? initialBalance + pnls.reduce((a, b) => a + b, 0)
+    : (curve.length ? curve[curve.length - 1].value : initialBalance);
+
+  // MDD: 자산곡선 우선, 없으면 거래별 누적 잔고
+  let balance = initialBalance;
+  const tradeBalances = [initialBalance, ...pnls.map(p => (balance += p))];
+  const mdd = curve.length > 1 ? maxDrawdownOf(curve.map(p => p.value)) : maxDrawdownOf(tradeBalances);
+
+  // 구간 수익률 기반 Sharpe / Sortino (무위험 수익률 0, 연율화)
+  const returns = [];
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i - 1].value > 0) returns.push(curve[i].value / curve[i - 1].value - 1);
+  }
+  const perYear = periodsPerYear(curve.map(p => p.timestamp));
+  const avgReturn = mean(returns);
+  const sd = stdDev(returns, avgReturn);
+  const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+  const annualize = perYear ? Math.sqrt(perYear) : null;
+
+  // CAGR / Calmar
+  const spanMs = curve.length > 1 ? curve[curve.length - 1].timestamp - curve[0].timestamp : 0;
+  const cagr = spanMs > 0 && finalBalance > 0
+    ? (Math.pow(finalBalance / initialBalance, YEAR_MS / spanMs) - 1) * 100
+    : null;
+
+  const { maxWins, maxLosses } = streaks(pnls);
+
+  return {
+    roi: round((finalBalance - initialBalance) / initialBalance * 100),
+    mdd: round(mdd),
+    win_rate: trades.length ? round(wins.length / trades.length * 100) : 0,
+    total_trades: trades.length,
+    long_trades: trades.filter(t => t.side === 'LONG').length,
+    short_trades: trades.filter(t => t.side === 'SHORT').length,
+    winning_trades: wins.length,
+    losing_trades: losses.length,
+    max_profit: round(wins.reduce((a, b) => Math.max(a, b), 0)),
+    max_loss: round(losses.reduce((a, b) => Math.min(a, b), 0)),
+    avg_profit: round(mean(wins)),
+    avg_loss: round(mean(losses)),
+    avg_duration: round(mean(durations)),
+    max_duration: durations.reduce((a, b) => Math.max(a, b), 0),
+    total_fee: round(trades.reduce((sum, t) => sum + (parseFloat(t.fee) || 0), 0)),
+    final_balance: round(finalBalance),
+    gross_profit: round(grossProfit),
+    gross_loss: round(grossLoss),
+    profit_factor: grossLoss > 0 ? round(grossProfit / grossLoss, 3) : null,
+    expectancy: round(mean(pnls)),
+    sharpe_ratio: annualize && sd > 0 ? round(avgReturn / sd * annualize, 3) : null,
+    sortino_ratio: annualize && downside > 0 ? round(avgReturn / downside * annualize, 3) : null,
+    cagr: round(cagr),
+    calmar_ratio: cagr !== null && mdd > 0 ? round(cagr / mdd, 3) : null,
+    max_consecutive_wins: maxWins,
+    max_consecutive_losses: maxLosses
+  };
+}
+
+// 전략이 보고한 값 vs 재계산 값 불일치 목록 (보고하지 않은 필드는 건너뜀)
+function findMetricMismatches(reported, computed) {
+  const mismatches = [];
+
+  for (const [field, tolerance] of Object.entries(REPORTED_FIELDS)) {
+    if (reported[field] === undefined || reported[field] === null || reported[field] === '') continue;
+
+    const value = parseFloat(reported[field]);
+    const expected = computed[field];
+    const allowed = Math.max(tolerance, Math.abs(expected) * 0.01);
+
+    if (!Number.isFinite(value) || Math.abs(value - expected) > allowed) {
+      mismatches.push({ field, reported: reported[field], computed: expected });
+    }
+  }
+
+  return mismatches;
+}
+
+// 같은 캔들 구간을 그냥 들고 있었을 때(buy & hold)의 자산곡선 + 전략과의 상대 지표
+// 첫 캔들 시가에 매수(수수료 1회), 레버리지 없음
+function computeBenchmark(candles, equityCurve, initialBalance, feePercent = 0) {
+  if (candles.length === 0) return null;
+
+  const entryPrice = candles[0].open || candles[0].close;
+  const units = initialBalance * (1 - feePercent / 100) / entryPrice;
+  const benchmarkCurve = candles.map(c => ({ timestamp: c.timestamp, equity: units * c.close }));
+  const finalBalance = benchmarkCurve[benchmarkCurve.length - 1].equity;
+  const roi = (finalBalance - initialBalance) / initialBalance * 100;
+
+  // 같은 timestamp끼리 맞춰서 구간 수익률 비교
+  const benchmarkByTs = new Map(benchmarkCurve.map(p => [p.timestamp, p.equity]));
+  const aligned = [];
+  for (const p of equityCurve) {
+    const value = parseFloat(p.equity ?? p.balance);
+    const bench = benchmarkByTs.get(p.timestamp);
+    if (Number.isFinite(value) && bench !== undefined) {
+      aligned.push({ timestamp: p.timestamp, strategy: value, benchmark: bench });
+    }
+  }
+
+  const sReturns = [];
+  const bReturns = [];
+  for (let i = 1; i < aligned.length; i++) {
+    if (aligned[i - 1].strategy > 0 && aligned[i - 1].benchmark > 0) {
+      sReturns.push(aligned[i].strategy / aligned[i - 1].strategy - 1);
+      bReturns.push(aligned[i].benchmark / aligned[i - 1].benchmark - 1);
+    }
+  }
+
+  const sMean = mean(sReturns);
+  const bMean = mean(bReturns);
+  let cov = 0;
+  for (let i = 0; i < sReturns.length; i++) {
+    cov += (sReturns[i] - sMean) * (bReturns[i] - bMean);
+  }
+  cov = sReturns.length > 1 ? cov / (sReturns.length - 1) : 0;
+  const sSd = stdDev(sReturns, sMean);
+  const bSd = stdDev(bReturns, bMean);
+  const beta = bSd > 0 ? cov / (bSd * bSd) : null;
+  const perYear = periodsPerYear(aligned.map(p => p.timestamp));
+
+  // 전략 / 벤치마크 비율 곡선의 최대 낙폭 = 벤치마크 대비 최대 열세 구간
+  const relativeCurve = aligned.filter(p => p.benchmark > 0).map(p => p.strategy / p.benchmark);
+  const strategyFinal = aligned.length ? aligned[aligned.length - 1].strategy : initialBalance;
+
+  return {
+    roi: round(roi),
+    mdd: round(maxDrawdownOf(benchmarkCurve.map(p => p.equity))),
+    final_balance: round(finalBalance),
+    entry_price: entryPrice,
+    exit_price: candles[candles.length - 1].close,
+    equity_curve: benchmarkCurve.map(p => ({ timestamp: p.timestamp, equity: round(p.equity) })),
+    excess_return: round((strategyFinal - initialBalance) / initialBalance * 100 - roi),
+    beta: round(beta, 3),
+    // 연율화 알파 (%)
+    alpha: beta !== null && perYear ? round((sMean - beta * bMean) * perYear * 100) : null,
+    correlation: sSd > 0 && bSd > 0 ? round(cov / (sSd * bSd), 3) : null,
+    max_relative_drawdown: round(maxDrawdownOf(relativeCurve))
+  };
+}
+
+// 여러 수익률 시계열 간 피어슨 상관계수 행렬
+function correlationMatrix(seriesList) {
+  const pearson = (x, y) => {
+    const n = Math.min(x.length, y.length);
+    if (n < 2) return null;
+    const mx = mean(x.slice(0, n));
+    const my = mean(y.slice(0, n));
+    let cov = 0, vx = 0, vy = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (x[i] - mx) * (y[i] - my);
+      vx += (x[i] - mx) ** 2;
+      vy += (y[i] - my) ** 2;
+    }
+    return vx > 0 && vy > 0 ? round(cov / Math.sqrt(vx * vy), 3) : null;
+  };
+
+  return seriesList.map((a, i) => seriesList.map((b, j) => (i === j ? 1 : pearson(a, b))));
+}
+
+// 몬테카를로 옵션 검증 (백테스트를 돌리기 전에 400으로 거절)
+function checkMonteCarloOptions(options) {
+  const given = (value) => value !== undefined && value !== null;
+  const method = options.method || 'shuffle';
+
+  if (!MONTE_CARLO_METHODS.includes(method)) {
+    throw httpError(400, `Unknown Monte Carlo method: ${method}`, { methods: MONTE_CARLO_METHODS });
+  }
+  if (given(options.iterations) && !(parseInt(options.iterations) >= 1)) {
+    throw httpError(400, 'monte_carlo.iterations must be a positive integer');
+  }
+  if (given(options.slippage_jitter) && !(parseFloat(options.slippage_jitter) >= 0)) {
+    throw httpError(400, 'monte_carlo.slippage_jitter must be 0 or more (%)');
+  }
+  const ruinThreshold = parseFloat(options.ruin_threshold);
+  if (given(options.ruin_threshold) && !(ruinThreshold > 0 && ruinThreshold <= 100)) {
+    throw httpError(400, 'monte_carlo.ruin_threshold must be more than 0 and at most 100 (%)');
+  }
+}
+
+// 거래 순서를 섞거나(shuffle) 복원추출(bootstrap)해서 수천 번 재시뮬레이션
+// options: { iterations, method: 'shuffle' | 'bootstrap', slippage_jitter (%), ruin_threshold (초기자본 대비 손실 %), seed }
+// 거래가 많으면 MONTE_CARLO_MAX_STEPS에 맞춰 반복 횟수를 줄임 (iterations < iterations_requested)
+function runMonteCarlo(trades, initialBalance, options = {}) {
+  checkMonteCarloOptions(options);
+
+  const pnls = trades.map(t => parseFloat(t.pnl) || 0);
+  const notionals = trades.map(t => parseFloat(t.usdt_size) || 0);
+  const n = pnls.length;
+
+  const requested = Math.min(parseInt(options.iterations) || 1000, MONTE_CARLO_MAX_ITERATIONS);
+  const iterations = Math.max(1, Math.min(requested, Math.floor(MONTE_CARLO_MAX_STEPS / Math.max(n, 1))));
+  const method = options.method || 'shuffle';
+  const jitter = parseFloat(options.slippage_jitter) || 0;
+  const ruinThreshold = parseFloat(options.ruin_threshold) || 50;
+  const ruinBalance = initialBalance * (1 - ruinThreshold / 100);
+  const random = createRandom(options.seed);
+
+  const finalBalances = new Float64Array(iterations);
+  const drawdowns = new Float64Array(iterations);
+  let ruined = 0;
+  let losing = 0;
+
+  const order = new Int32Array(n);
+
+  for (let it = 0; it < iterations; it++) {
+    if (method === 'shuffle') {
+      for (let i = 0; i < n; i++) order[i] = i;
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = order[i];
+        order[i] = order[j];
+        order[j] = tmp;
+      }
+    } else {
+      for (let i = 0; i < n; i++) order[i] = Math.floor(random() * n);
+    }
+
+    let balance = initialBalance;
+    let peak = initialBalance;
+    let maxDrawdown = 0;
+    let isRuined = false;
+
+    for (let i = 0; i < n; i++) {
+      const k = order[i];
+      // 진입+청산 양쪽 슬리피지: 0 ~ jitter% 균등분포
+      const slippage = jitter ? notionals[k] * (jitter / 100) * random() * 2 : 0;
+      balance += pnls[k] - slippage;
+
+      if (balance > peak) peak = balance;
+      const drawdown = peak > 0 ? (peak - balance) / peak * 100 : 100;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+
+      if (balance <= ruinBalance) {
+        isRuined = true;
+        if (balance <= 0) {
+          balance = 0;
+          maxDrawdown = 100;
+          break;
+        }
+      }
+    }
+
+    finalBalances[it] = balance;
+    drawdowns[it] = maxDrawdown;
+    if (isRuined) ruined++;
+    if (balance < initialBalance) losing++;
+  }
+
+  const rois = Array.from(finalBalances, b => (b - initialBalance) / initialBalance * 100);
+
+  return {
+    iterations,
+    iterations_requested: requested,
+    method,
+    trades: n,
+    slippage_jitter: jitter,
+    ruin_threshold: ruinThreshold,
+    final_balance: percentileBands(finalBalances),
+    roi: percentileBands(rois),
+    max_drawdown: percentileBands(drawdowns),
+    risk_of_ruin: parseFloat((ruined / iterations * 100).toFixed(2)),
+    probability_of_loss: parseFloat((losing / iterations * 100).toFixed(2))
+  };
+}
+
+module.exports = {
+  computePerformance,
+  findMetricMismatches,
+  computeBenchmark,
+  correlationMatrix,
+  maxDrawdownOf,
+  runMonteCarlo,
+  checkMonteCarloOptions,
+  percentile,
+  MONTE_CARLO_MAX_ITERATIONS,
+  MONTE_CARLO_METHODS
+};
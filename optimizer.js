@@ -0,0 +1,368 @@
+const { httpError } = require('./errors');
+const {
+  fetchStrategy,
+  loadCandles,
+  buildCommunitySettings,
+  normalizeResult,
+  executeStrategy
+} = require('./backtest');
+const { computePerformance } = require('./metrics');
+
+// 한 번의 최적화에서 돌릴 수 있는 최대 조합 수
+const OPTIMIZE_MAX_COMBINATIONS = parseInt(process.env.OPTIMIZE_MAX_COMBINATIONS) || 500;
+// 워크포워드 한 번의 최대 in-sample 실행 수 (윈도우 수 × 조합 수)
+const WALK_FORWARD_MAX_RUNS = parseInt(process.env.WALK_FORWARD_MAX_RUNS) || 2000;
+
+// 정렬 기준: mdd만 낮을수록 좋음
+const SORT_FIELDS = ['roi', 'mdd', 'win_rate', 'final_balance', 'total_trades'];
+
+// 소수점 오차 정리 (step 자릿수 기준)
+function roundToStep(value, step) {
+  const decimals = (String(step).split('.')[1] || '').length;
+  return parseFloat(value.toFixed(decimals));
+}
+
+// 스윕할 파라미터 범위 결정
+// schema: /api/convert-mq가 만든 parameters, requested: ['rsiPeriod'] 또는 { rsiPeriod: { min, max, step } }
+function resolveParameterSpace(schema, requested) {
+  const overrides = Array.isArray(requested)
+    ? Object.fromEntries(requested.map(name => [name, {}]))
+    : (requested || {});
+
+  const names = Object.keys(overrides);
+  if (names.length === 0) {
+    throw httpError(400, 'No parameters to optimize');
+  }
+
+  return names.map(name => {
+    const spec = { ...(schema[name] || {}), ...overrides[name] };
+    const min = parseFloat(spec.min);
+    const max = parseFloat(spec.max);
+    const step = parseFloat(spec.step) || 1;
+
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max || step <= 0) {
+      throw httpError(400, `Invalid range for parameter: ${name}`);
+    }
+
+    // 값 배열은 만들지 않고 개수만 (조합 수 한도 검사 전에 큰 범위로 메모리를 쓰지 않게)
+    const count = Math.floor((max - min) / step + 1e-6) + 1;
+    return { name, min, max, step, count };
+  });
+}
+
+function valueAt(param, k) {
+  return roundToStep(param.min + k * param.step, param.step);
+}
+
+// 그리드: 모든 조합 / 랜덤: 각 파라미터 격자에서 무작위 추출 (중복 제외)
+function buildCombinations(space, method = 'grid', samples = 50) {
+  const gridSize = space.reduce((n, p) => n * p.count, 1);
+
+  if (method === 'grid') {
+    if (gridSize > OPTIMIZE_MAX_COMBINATIONS) {
+      throw httpError(400, `Grid has ${gridSize} combinations (max ${OPTIMIZE_MAX_COMBINATIONS}). Use a larger step or method: 'random'`, {
+        combinations: gridSize,
+        max_combinations: OPTIMIZE_MAX_COMBINATIONS
+      });
+    }
+
+    let combos = [{}];
+    for (const param of space) {
+      const values = Array.from({ length: param.count }, (_, k) => valueAt(param, k));
+      combos = combos.flatMap(combo => values.map(v => ({ ...combo, [param.name]: v })));
+    }
+    return combos;
+  }
+
+  if (method === 'random') {
+    const target = Math.min(parseInt(samples) || 50, gridSize, OPTIMIZE_MAX_COMBINATIONS);
+    const seen = new Set();
+    const combos = [];
+
+    while (combos.length < target) {
+      const combo = {};
+      for (const param of space) {
+        combo[param.name] = valueAt(param, Math.floor(Math.random() * param.count));
+      }
+      const key = JSON.stringify(combo);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      combos.push(combo);
+    }
+    return combos;
+  }
+
+  throw httpError(400, `Unknown optimization method: ${method}`);
+}
+
+// 결과 표 한 줄
+function summarizeResult(params, result) {
+  return {
+    params,
+    roi: result.roi,
+    mdd: result.mdd,
+    win_rate: result.win_rate,
+    total_trades: result.total_trades,
+    final_balance: result.final_balance
+  };
+}
+
+function rankResults(rows, sortBy = 'roi') {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw httpError(400, `Invalid sort_by: ${sortBy}`);
+  }
+
+  const direction = sortBy === 'mdd' ? 1 : -1;
+  const ok = rows.filter(r => !r.error).sort((a, b) => (a[sortBy] - b[sortBy]) * direction);
+  const failed = rows.filter(r => r.error);
+
+  return [...ok, ...failed].map((row, i) => ({ rank: row.error ? null : i + 1, ...row }));
+}
+
+// 같은 캔들/코드로 조합들을 순서대로 실행
+// onStep(done, total) 진행 콜백
+async function evaluateCombinations(jsCode, candles, settings, combos, onStep) {
+  const rows = [];
+
+  for (const params of combos) {
+    const runSettings = { ...settings, ...params };
+
+    try {
+      const backtestResult = await executeStrategy(jsCode, candles, buildCommunitySettings(runSettings));
+      rows.push(summarizeResult(params, normalizeResult(backtestResult, runSettings)));
+    } catch (error) {
+      rows.push({ params, error: error.message, code: error.body && error.body.code });
+    }
+
+    if (onStep) onStep(rows.length, combos.length);
+  }
+
+  return rows;
+}
+
+// POST /api/optimize 본체
+// options: { parameters, method, samples, sort_by, onStep }
+async function runOptimization(strategyId, settings, options = {}) {
+  console.log('🔵 Optimization start');
+  console.log('📊 Strategy:', strategyId);
+  console.log('📊 Period:', settings.startDate, '→', settings.endDate);
+
+  const { jsCode, parameters: schema } = await fetchStrategy(strategyId);
+  const space = resolveParameterSpace(schema, options.parameters);
+  const combos = buildCombinations(space, options.method, options.samples);
+
+  console.log('📊 Combinations:', combos.length, `(${options.method || 'grid'})`);
+
+  const candles = loadCandles(settings);
+  const rows = await evaluateCombinations(jsCode, candles, settings, combos, options.onStep);
+  const ranked = rankResults(rows, options.sort_by);
+
+  console.log('✅ Optimization complete');
+
+  return {
+    strategy_id: strategyId,
+    symbol: settings.symbol,
+    timeframe: settings.timeframe,
+    startDate: settings.startDate,
+    endDate: settings.endDate,
+    method: options.method || 'grid',
+    sort_by: options.sort_by || 'roi',
+    parameter_space: space.map(({ name, min, max, step, count }) => ({ name, min, max, step, count })),
+    total_combinations: combos.length,
+    failed_combinations: rows.filter(r => r.error).length,
+    best: ranked[0] && !ranked[0].error ? ranked[0] : null,
+    results: ranked
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// startDate..endDate를 롤링 in-sample / out-of-sample 윈도우로 분할
+// anchored: true → in-sample 시작점을 항상 startDate에 고정
+function buildWalkForwardWindows(startTs, endTs, inSampleDays, outOfSampleDays, stepDays, anchored) {
+  const isMs = inSampleDays * DAY_MS;
+  const oosMs = outOfSampleDays * DAY_MS;
+  const stepMs = (stepDays || outOfSampleDays) * DAY_MS;
+  const windows = [];
+
+  for (let t = startTs; t + isMs < endTs; t += stepMs) {
+    const oosStart = t + isMs;
+    windows.push({
+      in_sample: { start: anchored ? startTs : t, end: oosStart - 1 },
+      out_of_sample: { start: oosStart, end: Math.min(oosStart + oosMs - 1, endTs) }
+    });
+  }
+
+  return windows;
+}
+
+function sliceCandles(candles, range) {
+  return candles.filter(c => c.timestamp >= range.start && c.timestamp <= range.end);
+}
+
+// 윈도우별 OOS 결과를 복리로 이어붙인 자산곡선 + 거래 → 통계는 단일 백테스트와 같은 computePerformance
+// 각 윈도우의 금액(손익/수수료/잔고)은 그 윈도우 시작 시점의 누적 잔고 비율로 환산
+function stitchOutOfSample(windows, initialBalance) {
+  const equityCurve = [];
+  const trades = [];
+  let balance = initialBalance;
+  let peak = initialBalance;
+
+  windows.forEach((w, index) => {
+    const result = w.out_of_sample_result;
+    if (!result) return;
+
+    const scale = balance / (result.initial_balance || initialBalance);
+
+    for (const point of result.equity_curve) {
+      const equity = (point.equity ?? point.balance) * scale;
+      peak = Math.max(peak, equity);
+      equityCurve.push({
+        timestamp: point.timestamp,
+        balance: point.balance * scale,
+        equity,
+        drawdown: peak > 0 ? (peak - equity) / peak * 100 : 0,
+        window: index
+      });
+    }
+
+    for (const t of result.trades) {
+      trades.push({
+        ...t,
+        pnl: (parseFloat(t.pnl) || 0) * scale,
+        fee: (parseFloat(t.fee) || 0) * scale,
+        balance: (parseFloat(t.balance) || 0) * scale,
+        window: index
+      });
+    }
+
+    balance = result.final_balance * scale;
+  });
+
+  return {
+    trades,
+    equity_curve: equityCurve,
+    ...computePerformance(trades, equityCurve, initialBalance),
+    initial_balance: initialBalance
+  };
+}
+
+// POST /api/walk-forward 본체
+// 윈도우마다 in-sample에서 최적 파라미터를 고르고 바로 다음 out-of-sample 구간에 적용
+// options: { parameters, method, samples, sort_by, in_sample_days, out_of_sample_days, step_days, anchored, onStep }
+async function runWalkForward(strategyId, settings, options = {}) {
+  const inSampleDays = parseFloat(options.in_sample_days);
+  const outOfSampleDays = parseFloat(options.out_of_sample_days);
+
+  if (!(inSampleDays > 0) || !(outOfSampleDays > 0)) {
+    throw httpError(400, 'in_sample_days and out_of_sample_days must be positive');
+  }
+
+  const startTs = new Date(settings.startDate).getTime();
+  const endTs = new Date(settings.endDate).getTime();
+  const windows = buildWalkForwardWindows(startTs, endTs, inSampleDays, outOfSampleDays, parseFloat(options.step_days), !!options.anchored);
+
+  if (windows.length === 0) {
+    throw httpError(400, 'Date range is too short for the requested in-sample window');
+  }
+
+  console.log('🔵 Walk-forward start');
+  console.log('📊 Strategy:', strategyId);
+  console.log('📊 Windows:', windows.length, `(IS ${inSampleDays}d / OOS ${outOfSampleDays}d)`);
+
+  const { jsCode, parameters: schema } = await fetchStrategy(strategyId);
+  const space = resolveParameterSpace(schema, options.parameters);
+  const combos = buildCombinations(space, options.method, options.samples);
+  const runs = windows.length * combos.length;
+  if (runs > WALK_FORWARD_MAX_RUNS) {
+    throw httpError(400, `Walk-forward needs ${runs} runs (${windows.length} windows × ${combos.length} combinations, max ${WALK_FORWARD_MAX_RUNS}). Use fewer windows or combinations`, {
+      windows: windows.length,
+      combinations: combos.length,
+      max_runs: WALK_FORWARD_MAX_RUNS
+    });
+  }
+
+  const candles = loadCandles(settings);
+  const initialBalance = settings.initialBalance || 10000;
+
+  const totalSteps = windows.length * (combos.length + 1);
+  let doneSteps = 0;
+  const step = () => {
+    doneSteps++;
+    if (options.onStep) options.onStep(doneSteps, totalSteps);
+  };
+
+  for (const [index, w] of windows.entries()) {
+    const isCandles = sliceCandles(candles, w.in_sample);
+    const oosCandles = sliceCandles(candles, w.out_of_sample);
+
+    const rows = await evaluateCombinations(jsCode, isCandles, settings, combos, step);
+    const ranked = rankResults(rows, options.sort_by);
+    const best = ranked[0] && !ranked[0].error ? ranked[0] : null;
+
+    w.in_sample.candles = isCandles.length;
+    w.out_of_sample.candles = oosCandles.length;
+    w.best_params = best ? best.params : null;
+    w.in_sample_stats = best;
+
+    if (best && oosCandles.length > 0) {
+      const runSettings = { ...settings, ...best.params };
+      try {
+        const backtestResult = await executeStrategy(jsCode, oosCandles, buildCommunitySettings(runSettings));
+        w.out_of_sample_result = normalizeResult(backtestResult, runSettings, oosCandles);
+      } catch (error) {
+        w.out_of_sample_error = error.message;
+      }
+    }
+    step();
+
+    console.log(`✅ Window ${index + 1}/${windows.length}:`, JSON.stringify(w.best_params), '→ OOS ROI', w.out_of_sample_result?.roi);
+  }
+
+  const stitched = stitchOutOfSample(windows, initialBalance);
+  // 윈도우 길이가 다르므로 하루당 ROI로 맞춰서 비교
+  const perDay = (roi, range) => roi / ((range.end - range.start + 1) / DAY_MS);
+  const isRois = windows.filter(w => w.in_sample_stats).map(w => perDay(w.in_sample_stats.roi, w.in_sample));
+  const oosRois = windows.filter(w => w.out_of_sample_result).map(w => perDay(w.out_of_sample_result.roi, w.out_of_sample));
+  const avg = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+
+  console.log('✅ Walk-forward complete');
+
+  return {
+    strategy_id: strategyId,
+    symbol: settings.symbol,
+    timeframe: settings.timeframe,
+    startDate: settings.startDate,
+    endDate: settings.endDate,
+    in_sample_days: inSampleDays,
+    out_of_sample_days: outOfSampleDays,
+    anchored: !!options.anchored,
+    method: options.method || 'grid',
+    sort_by: options.sort_by || 'roi',
+    total_combinations: combos.length,
+    // OOS 평균 일간 ROI / IS 평균 일간 ROI (1에 가까울수록 과최적화가 적음)
+    walk_forward_efficiency: avg(isRois) !== 0 ? parseFloat((avg(oosRois) / avg(isRois)).toFixed(3)) : null,
+    windows: windows.map((w, index) => ({
+      window: index,
+      in_sample: w.in_sample,
+      out_of_sample: w.out_of_sample,
+      best_params: w.best_params,
+      in_sample_stats: w.in_sample_stats,
+      out_of_sample_result: w.out_of_sample_result || null,
+      error: w.out_of_sample_error || null
+    })),
+    out_of_sample: stitched
+  };
+}
+
+module.exports = {
+  OPTIMIZE_MAX_COMBINATIONS,
+  WALK_FORWARD_MAX_RUNS,
+  resolveParameterSpace,
+  buildCombinations,
+  rankResults,
+  evaluateCombinations,
+  runOptimization,
+  buildWalkForwardWindows,
+  runWalkForward
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./errors');
+const {
+  DATA_PATH,
+  fetchStrategy,
+  loadCandles,
+  buildCommunitySettings,
+  normalizeResult,
+  executeStrategy,
+  executePortfolio
+} = require('./backtest');
+const { computePerformance, correlationMatrix } = require('./metrics');
+
+// symbols: '*' → 해당 마켓/타임프레임에 있는 캔들 파일 전부 (1분봉만 있어도 집계 가능하므로 포함)
+function listAvailableSymbols(marketType, timeframe) {
+  const dir = path.join(DATA_PATH, marketType);
+  if (!fs.existsSync(dir)) return [];
+
+  const symbols = new Set();
+  for (const suffix of [`_${timeframe}.csv`, `_${timeframe}.bin`, '_1m.csv', '_1m.bin']) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith(suffix))
+      .forEach(file => symbols.add(file.slice(0, -suffix.length)));
+  }
+  return [...symbols];
+}
+
+// 요청 → 종목별 leg 목록 + 배분 비율
+// legs: [{ symbol, strategy_id, weight, settings }] 또는 symbols + strategy_id (전 종목 같은 전략)
+// allocation: 'equal' (기본) | 'weight' (leg.weight 비율, 합이 100 넘으면 정규화)
+function resolveLegs(body, settings) {
+  let legs = body.legs;
+
+  if (!legs) {
+    const symbols = body.symbols === '*'
+      ? listAvailableSymbols(settings.market_type, settings.timeframe)
+      : body.symbols;
+
+    if (!Array.isArray(symbols) || !body.strategy_id) {
+      throw httpError(400, 'Provide legs, or symbols with strategy_id');
+    }
+    legs = symbols.map(symbol => ({ symbol, strategy_id: body.strategy_id }));
+  }
+
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw httpError(400, 'Portfolio has no symbols');
+  }
+
+  for (const leg of legs) {
+    if (!leg.symbol || !(leg.strategy_id || body.strategy_id)) {
+      throw httpError(400, 'Each leg needs symbol and strategy_id');
+    }
+  }
+
+  const allocation = body.allocation || 'equal';
+  let weights;
+
+  if (allocation === 'equal') {
+    weights = legs.map(() => 100 / legs.length);
+  } else if (allocation === 'weight') {
+    weights = legs.map(leg => parseFloat(leg.weight) || 0);
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) {
+      throw httpError(400, 'Leg weights must add up to more than 0');
+    }
+    if (total > 100) {
+      weights = weights.map(w => w / total * 100);
+    }
+  } else {
+    throw httpError(400, `Unknown allocation: ${allocation}`);
+  }
+
+  return legs.map((leg, i) => ({
+    symbol: leg.symbol,
+    strategy_id: leg.strategy_id || body.strategy_id,
+    weight: weights[i],
+    settings: leg.settings || {}
+  }));
+}
+
+// 각 leg 자산곡선을 전체 timestamp 위에서 forward-fill
+function alignCurves(curves, startValues) {
+  const timestamps = [...new Set(curves.flatMap(c => c.map(p => p.timestamp)))].sort((a, b) => a - b);
+
+  const aligned = curves.map((curve, i) => {
+    const values = new Array(timestamps.length);
+    let j = 0;
+    let last = startValues[i];
+    for (let k = 0; k < timestamps.length; k++) {
+      while (j < curve.length && curve[j].timestamp <= timestamps[k]) {
+        const v = parseFloat(curve[j].equity ?? curve[j].balance);
+        if (Number.isFinite(v)) last = v;
+        j++;
+      }
+      values[k] = last;
+    }
+    return values;
+  });
+
+  return { timestamps, aligned };
+}
+
+function toReturns(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+  }
+  return returns;
+}
+
+const CAPITAL_MODELS = ['shared', 'static'];
+
+function roundCurve(points) {
+  return points.map(p => ({
+    timestamp: p.timestamp,
+    equity: parseFloat(p.equity.toFixed(2)),
+    balance: parseFloat(p.balance.toFixed(2)),
+    drawdown: parseFloat(p.drawdown.toFixed(2))
+  }));
+}
+
+// 공유 잔고: 모든 leg를 한 시간순 루프에서 같은 잔고로 실행 (engine.simulatePortfolio)
+// 진입할 때마다 현재 전체 잔고 × leg 배분 비율로 크기 결정, 다른 leg가 쓰는 증거금만큼 여유 증거금 감소
+// leg별 결과는 배분액을 기준으로 한 그 leg의 실현 손익, combined는 계좌 전체 자산곡선
+async function runShared(prepared, initialBalance, options) {
+  const run = await executePortfolio(prepared.map(p => ({
+    jsCode: p.jsCode,
+    candles: p.candles,
+    communitySettings: buildCommunitySettings({ ...p.legSettings, allocationPercent: p.leg.weight })
+  })), initialBalance, {
+    onProgress: options.onStep && (({ candles_processed, total_candles }) => options.onStep(candles_processed, total_candles))
+  });
+
+  return {
+    results: prepared.map((p, k) => legResult(p, normalizeResult(run.legs[k], p.legSettings, p.candles))),
+    equityCurve: roundCurve(run.equity_curve)
+  };
+}
+
+// 정적 배분: 시작 잔고를 배분 비율대로 나눠 종목별로 따로 실행 후 합산
+// 각 leg는 처음 배분받은 자본으로만 거래 → 리밸런싱 없음, 한 leg의 수익/손실이 다른 leg의 주문 크기나 증거금에 영향 없음
+// combined = 같은 시각의 leg별 자산 합 + 배분하지 않은 현금
+async function runStatic(prepared, initialBalance, options) {
+  const results = [];
+
+  for (const [index, p] of prepared.entries()) {
+    const backtestResult = await executeStrategy(p.jsCode, p.candles, buildCommunitySettings(p.legSettings));
+    results.push(legResult(p, normalizeResult(backtestResult, p.legSettings, p.candles)));
+    if (options.onStep) options.onStep(index + 1, prepared.length);
+  }
+
+  const cash = initialBalance - results.reduce((sum, r) => sum + r.allocated_capital, 0);
+  const { timestamps, aligned } = alignCurves(
+    results.map(r => r.result.equity_curve),
+    results.map(r => r.allocated_capital)
+  );
+
+  let peak = initialBalance;
+  const equityCurve = timestamps.map((timestamp, k) => {
+    const equity = cash + aligned.reduce((sum, values) => sum + values[k], 0);
+    peak = Math.max(peak, equity);
+    return { timestamp, equity, balance: equity, drawdown: peak > 0 ? (peak - equity) / peak * 100 : 0 };
+  });
+
+  return { results, equityCurve: roundCurve(equityCurve), cash };
+}
+
+function legResult(p, result) {
+  return {
+    symbol: p.leg.symbol,
+    strategy_id: p.leg.strategy_id,
+    weight: parseFloat(p.leg.weight.toFixed(2)),
+    allocated_capital: parseFloat(p.allocated.toFixed(2)),
+    result
+  };
+}
+
+// 포트폴리오 백테스트
+// capital_model: 'shared' (기본, 잔고 하나를 모든 leg가 공유) | 'static' (leg별 고정 자본)
+// runStrategy(레거시) 전략은 잔고를 직접 계산하므로 공유 불가 → capital_model을 안 줬으면 static으로 실행 + 경고
+// options: { onStep }
+async function runPortfolio(body, settings, options = {}) {
+  const initialBalance = settings.initialBalance || 10000;
+  const legs = resolveLegs(body, settings);
+  const capitalModel = body.capital_model || 'shared';
+
+  if (!CAPITAL_MODELS.includes(capitalModel)) {
+    throw httpError(400, `Unknown capital_model: ${capitalModel}`);
+  }
+
+  console.log('🔵 Portfolio backtest start');
+  console.log('📊 Legs:', legs.map(l => `${l.symbol}(${l.weight.toFixed(1)}%)`).join(', '));
+  console.log('📊 Capital model:', capitalModel);
+
+  const strategies = new Map();
+  const prepared = [];
+
+  for (const leg of legs) {
+    if (!strategies.has(leg.strategy_id)) {
+      strategies.set(leg.strategy_id, await fetchStrategy(leg.strategy_id));
+    }
+    const allocated = initialBalance * leg.weight / 100;
+    const legSettings = { ...settings, ...leg.settings, symbol: leg.symbol, initialBalance: allocated };
+    prepared.push({ leg, allocated, legSettings, jsCode: strategies.get(leg.strategy_id).jsCode, candles: loadCandles(legSettings) });
+  }
+
+  const warnings = [];
+  let model = capitalModel;
+  let run;
+
+  if (model === 'shared') {
+    try {
+      run = await runShared(prepared, initialBalance, options);
+    } catch (error) {
+      if (body.capital_model || error.body?.code !== 'legacy_strategy') throw error;
+      console.log('⚠️ runStrategy strategy cannot share capital - falling back to static allocation');
+      warnings.push(`${error.message} - ran with capital_model 'static'`);
+      model = 'static';
+    }
+  }
+  if (model === 'static') {
+    run = await runStatic(prepared, initialBalance, options);
+  }
+
+  const { results, equityCurve } = run;
+  const trades = results
+    .flatMap(r => r.result.trades.map(t => ({ ...t, symbol: r.symbol })))
+    .sort((a, b) => (a.exit_time || 0) - (b.exit_time || 0));
+  const { aligned } = alignCurves(
+    results.map(r => r.result.equity_curve),
+    results.map(r => r.allocated_capital)
+  );
+
+  console.log('✅ Portfolio backtest complete');
+
+  return {
+    initial_balance: initialBalance,
+    allocation: body.allocation || 'equal',
+    capital_model: model,
+    ...(model === 'static' ? { unallocated_cash: parseFloat(run.cash.toFixed(2)) } : {}),
+    timeframe: settings.timeframe,
+    market_type: settings.market_type,
+    legs: results,
+    combined: {
+      ...computePerformance(trades, equityCurve, initialBalance),
+      trades,
+      equity_curve: equityCurve
+    },
+    correlation: {
+      symbols: results.map(r => r.symbol),
+      matrix: correlationMatrix(aligned.map(toReturns))
+    },
+    ...(warnings.length ? { warnings } : {})
+  };
+}
+
+module.exports = { listAvailableSymbols, resolveLegs, runPortfolio };
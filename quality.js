@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./errors');
+const { DATA_PATH } = require('./candles');
+const { UNIT_MS, parseTimeframe } = require('./timeframes');
+
+// 업로드 품질 리포트 저장 위치 (마켓 디렉토리 밖, 캔들 목록에서 health로 보여줌)
+const QUALITY_PATH = path.join(DATA_PATH, '.quality');
+const REPAIR_MODES = ['none', 'drop', 'forward_fill', 'reject'];
+// 리포트에 예시로 남길 최대 개수
+const MAX_EXAMPLES = 20;
+// forward_fill로 채울 수 있는 최대 캔들 수 (갭 하나가 몇 년이면 수백만 개가 생김)
+const MAX_FILL_BARS = parseInt(process.env.MAX_FILL_BARS) || 100000;
+
+// 줄 하나 검사 → { candle } 또는 { error }
+function checkRow(columns) {
+  if (columns.length < 6) return { error: 'missing columns' };
+
+  const [timestamp, open, high, low, close, volume] = columns.slice(0, 6).map(Number);
+  if (![timestamp, open, high, low, close, volume].every(Number.isFinite)) return { error: 'non-numeric value' };
+  if (open <= 0 || high <= 0 || low <= 0 || close <= 0) return { error: 'non-positive price' };
+  if (high < low) return { error: 'high < low' };
+  if (open > high || open < low || close > high || close < low) return { error: 'open/close outside high-low' };
+  if (volume < 0) return { error: 'negative volume' };
+
+  return { candle: { timestamp, open, high, low, close, volume } };
+}
+
+// 캔들 간격: 파일 이름의 타임프레임(BTCUSDT_1m → 1분), 없으면 가장 흔한 간격
+// 월봉(1M)은 간격이 일정하지 않아서 갭 검사 안 함
+// timestamps: 시간순 timestamp 배열
+function expectedInterval(name, timestamps) {
+  const tf = parseTimeframe(String(name).split('_').pop());
+  if (tf) return tf.unit === 'M' ? null : UNIT_MS[tf.unit] * tf.count;
+
+  const counts = new Map();
+  for (let i = 1; i < timestamps.length; i++) {
+    const diff = timestamps[i] - timestamps[i - 1];
+    if (diff > 0) counts.set(diff, (counts.get(diff) || 0) + 1);
+  }
+  let best = null;
+  for (const [diff, count] of counts) {
+    if (!best || count > best.count) best = { diff, count };
+  }
+  return best ? best.diff : null;
+}
+
+// CSV 검사 + 복구 (줄 단위로 push → finish)
+// repair: 'none'(그대로 저장) | 'drop'(불량/중복 제거 + 정렬) | 'forward_fill'(drop + 갭을 직전 종가로 채움) | 'reject'(문제 있으면 거부)
+// finish() → { report, candles, valid } (candles: 저장할 캔들, repair가 none이면 null / valid: 정상 행만 정렬 + 중복 제거)
+function createCsvInspector(name, repair = 'none') {
+  const badRows = [];
+  const parsed = [];
+  let header = false;
+  let lineNumber = 0;
+
+  function push(line) {
+    lineNumber++;
+    if (!line.trim()) return;
+    const columns = line.split(',').map(v => v.trim());
+
+    // 첫 줄이 숫자가 아니면 헤더
+    if (parsed.length === 0 && badRows.length === 0 && !header && !Number.isFinite(Number(columns[0]))) {
+      header = true;
+      return;
+    }
+
+    const { candle, error } = checkRow(columns);
+    if (candle) parsed.push(candle);
+    else badRows.push({ line: lineNumber, error });
+  }
+
+  return { push, finish: () => inspectRows(name, repair, parsed, badRows, header) };
+}
+
+function inspectRows(name, repair, parsed, badRows, header) {
+  // 순서 / 중복
+  let outOfOrder = 0;
+  for (let i = 1; i < parsed.length; i++) {
+    if (parsed[i].timestamp < parsed[i - 1].timestamp) outOfOrder++;
+  }
+
+  const byTime = new Map();
+  let duplicates = 0;
+  for (const candle of parsed) {
+    if (byTime.has(candle.timestamp)) duplicates++;
+    byTime.set(candle.timestamp, candle);
+  }
+  const sorted = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+
+  // 갭
+  const times = sorted.map(c => c.timestamp);
+  const interval = expectedInterval(name, times);
+  const { gaps, missingBars } = findGaps(times, interval);
+
+  const issues = badRows.length + outOfOrder + duplicates + gaps.length;
+  const report = {
+    file: name,
+    checked_at: Date.now(),
+    repair,
+    header,
+    rows: parsed.length + badRows.length,
+    valid_rows: parsed.length,
+    first_timestamp: sorted.length ? sorted[0].timestamp : null,
+    last_timestamp: sorted.length ? sorted[sorted.length - 1].timestamp : null,
+    interval_ms: interval,
+    bad_rows: badRows.length,
+    duplicates,
+    out_of_order: outOfOrder,
+    gaps: gaps.length,
+    missing_bars: missingBars,
+    examples: {
+      bad_rows: badRows.slice(0, MAX_EXAMPLES),
+      gaps: gaps.slice(0, MAX_EXAMPLES)
+    }
+  };
+
+  let candles = null;
+  if (repair === 'drop') {
+    candles = sorted;
+  } else if (repair === 'forward_fill') {
+    candles = interval ? forwardFill(sorted, interval) : sorted;
+    report.filled_bars = candles.length - sorted.length;
+  }
+
+  // health: 저장된 데이터 기준
+  // error = 불량/중복/순서 문제가 그대로 남음, warning = 갭만 남음
+  const broken = repair === 'none' && badRows.length + outOfOrder + duplicates > 0;
+  const gapsLeft = repair !== 'forward_fill' && gaps.length > 0;
+  report.issues = issues;
+  // 그대로 저장해도 읽을 때는 timestamp 중복이 하나로 합쳐짐 (.bin / 캐시)
+  report.stored_rows = candles ? candles.length : sorted.length;
+  report.health = parsed.length === 0 || broken ? 'error' : gapsLeft ? 'warning' : 'ok';
+
+  return { report, candles, valid: sorted };
+}
+
+// 시간순 timestamp 배열에서 interval보다 벌어진 구간
+function findGaps(timestamps, interval) {
+  const gaps = [];
+  let missingBars = 0;
+  if (!interval) return { gaps, missingBars };
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const diff = timestamps[i] - timestamps[i - 1];
+    if (diff > interval) {
+      const missing = Math.round(diff / interval) - 1;
+      missingBars += missing;
+      gaps.push({ from: timestamps[i - 1], to: timestamps[i], missing });
+    }
+  }
+  return { gaps, missingBars };
+}
+
+// 빈 구간을 직전 종가의 거래량 0 캔들로 채움
+// 채울 캔들이 MAX_FILL_BARS보다 많으면 422 (채우기 전에 검사)
+function forwardFill(candles, interval) {
+  let missing = 0;
+  for (let i = 1; i < candles.length; i++) {
+    missing += Math.max(0, Math.ceil((candles[i].timestamp - candles[i - 1].timestamp) / interval) - 1);
+  }
+  if (missing > MAX_FILL_BARS) {
+    throw httpError(422, `forward_fill would add ${missing} candles (max ${MAX_FILL_BARS}). Use repair: 'drop' or upload the missing range`, {
+      missing_bars: missing,
+      max_fill_bars: MAX_FILL_BARS
+    });
+  }
+
+  const filled = [];
+  for (const candle of candles) {
+    const prev = filled[filled.length - 1];
+    if (prev) {
+      for (let ts = prev.timestamp + interval; ts < candle.timestamp; ts += interval) {
+        filled.push({ timestamp: ts, open: prev.close, high: prev.close, low: prev.close, close: prev.close, volume: 0 });
+      }
+    }
+    filled.push(candle);
+  }
+  return filled;
+}
+
+function qualityReportPath(marketType, name) {
+  return path.join(QUALITY_PATH, marketType, `${name}.json`);
+}
+
+function saveQualityReport(marketType, name, report) {
+  const filePath = qualityReportPath(marketType, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2), 'utf-8');
+}
+
+function loadQualityReport(marketType, name) {
+  const filePath = qualityReportPath(marketType, name);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  REPAIR_MODES,
+  MAX_EXAMPLES,
+  expectedInterval,
+  createCsvInspector,
+  findGaps,
+  forwardFill,
+  saveQualityReport,
+  loadQualityReport
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { loadCandles } = require('./backtest');
+const { candleFilePath, seriesModifiedAt } = require('./candles');
+const { UNIT_MS, parseTimeframe, bucketStart, convertTimeframe } = require('./timeframes');
+const { listMarkets, listSeries, parseSeriesName } = require('./catalog');
+
+// 저장된 캔들 조회/다운로드 (차트용)
+// 백테스트와 같은 loadCandles로 읽음 → 미리 만든 시리즈 / 1분봉 집계 / LRU 캐시까지 백테스트와 같은 데이터
+// 둘 다 없으면 더 작은 타임프레임 시리즈에서 convertTimeframe으로 집계 (예: 1h만 있을 때 4h)
+const QUERY_PARAMS = ['from', 'to', 'timeframe', 'limit', 'format'];
+const QUERY_FORMATS = ['json', 'csv'];
+const DEFAULT_QUERY_LIMIT = 1000;
+const MAX_QUERY_LIMIT = parseInt(process.env.CANDLE_QUERY_MAX_LIMIT) || 50000;
+// Date로 표현 가능한 최대 시각
+const MAX_TIMESTAMP = 8.64e15;
+// 한 구간(1M)의 최대 길이 - 집계할 때 마지막 구간을 끝까지 읽기 위해
+const MAX_BUCKET_MS = 31 * UNIT_MS.d;
+
+function intervalMs(tf) {
+  return UNIT_MS[tf.unit] * tf.count;
+}
+
+// 정렬용 대략적인 길이 (월 = 30일)
+function approximateMs(tf) {
+  return tf.unit === 'M' ? tf.count * 30 * UNIT_MS.d : intervalMs(tf);
+}
+
+// base 구간이 target 구간 안에 정확히 들어가는지 (경계가 맞아야 집계 가능)
+// 분/시/일은 epoch 기준, 주는 월요일 기준, 월은 달력 기준 (timeframes.js bucketStart)
+function canAggregate(base, target) {
+  if (base.unit === 'M') return target.unit === 'M' && target.count % base.count === 0;
+  if (target.unit === 'M') return UNIT_MS.d % intervalMs(base) === 0;
+  if (target.unit === 'w' && base.unit !== 'w') return UNIT_MS.d % intervalMs(base) === 0;
+  if (base.unit === 'w' && target.unit !== 'w') return false;
+  return intervalMs(base) < intervalMs(target) && intervalMs(target) % intervalMs(base) === 0;
+}
+
+// 숫자(ms epoch) 또는 날짜 문자열
+function parseQueryTime(value, name) {
+  if (value === undefined || value === '') return null;
+  const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ts)) throw httpError(400, `Invalid ${name}: ${value}`);
+  return ts;
+}
+
+// 조회 파라미터가 하나라도 있으면 데이터 조회, 없으면 종목 상세 (/api/candles/:market/:symbol 공용)
+function isCandleQuery(query) {
+  return QUERY_PARAMS.some(param => query[param] !== undefined);
+}
+
+// 요청 → 조회 계획 (데이터를 읽기 전에 ETag를 만들 수 있도록 소스/수정 시각까지 결정)
+// symbolParam: 'BTCUSDT' (timeframe 필요) 또는 'BTCUSDT_1h'
+// accept: Accept 헤더 (format 없을 때 text/csv면 CSV)
+function resolveCandleQuery(market, symbolParam, query, accept = '') {
+  const { symbol, timeframe: suffix } = parseSeriesName(symbolParam);
+  const timeframe = query.timeframe || suffix;
+  if (!timeframe) throw httpError(400, 'timeframe is required (or use SYMBOL_TF, e.g. BTCUSDT_1h)');
+
+  const target = parseTimeframe(timeframe);
+  if (!target) throw httpError(400, `Unsupported timeframe: ${timeframe}`);
+
+  const format = query.format || (/text\/csv/.test(accept) ? 'csv' : 'json');
+  if (!QUERY_FORMATS.includes(format)) throw httpError(400, `Unknown format: ${format}`, { formats: QUERY_FORMATS });
+
+  const limit = query.limit === undefined ? DEFAULT_QUERY_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit <= 0) throw httpError(400, `Invalid limit: ${query.limit}`);
+  if (limit > MAX_QUERY_LIMIT) throw httpError(400, `limit must be at most ${MAX_QUERY_LIMIT}`);
+
+  const from = parseQueryTime(query.from, 'from') ?? 0;
+  const to = parseQueryTime(query.to, 'to') ?? MAX_TIMESTAMP;
+  if (from > to) throw httpError(400, 'from must be before to');
+
+  // 디렉토리에 실제로 있는 시리즈만 (경로 조작 방지)
+  const stored = listMarkets().includes(market)
+    ? listSeries(market).map(parseSeriesName).filter(s => s.symbol === symbol && s.timeframe)
+    : [];
+  if (stored.length === 0) throw httpError(404, `Candle series not found: ${market}/${symbol}`);
+
+  const plan = { market, symbol, timeframe, from, to, limit, format, base: null };
+  const has = tf => stored.some(s => s.timeframe === tf);
+
+  if (has(timeframe) || has('1m')) {
+    plan.source = has(timeframe) ? 'pre-built' : 'aggregated from 1m';
+    plan.modified_at = seriesModifiedAt(candleFilePath(market, symbol, has(timeframe) ? timeframe : '1m'));
+  } else {
+    // 가장 큰 (집계할 캔들이 가장 적은) 시리즈부터
+    const base = stored
+      .map(s => ({ name: s.timeframe, tf: parseTimeframe(s.timeframe) }))
+      .filter(s => canAggregate(s.tf, target))
+      .sort((a, b) => approximateMs(b.tf) - approximateMs(a.tf))[0];
+    if (!base) {
+      throw httpError(404, `No ${timeframe} candles for ${symbol}`, { available: stored.map(s => s.timeframe) });
+    }
+    plan.base = base.name;
+    plan.source = `aggregated from ${base.name}`;
+    plan.modified_at = seriesModifiedAt(candleFilePath(market, symbol, base.name));
+  }
+
+  return plan;
+}
+
+// 원본 수정 시각 + 조회 조건 → 같은 응답이면 같은 값 (압축 여부와 무관해서 weak)
+function candleQueryEtag(plan) {
+  const key = [plan.market, plan.symbol, plan.timeframe, plan.source, plan.modified_at, plan.from, plan.to, plan.limit, plan.format].join('|');
+  return `W/"${crypto.createHash('sha1').update(key).digest('hex').slice(0, 27)}"`;
+}
+
+// 조회 실행 → { candles, next_from } (next_from: 다음 페이지의 from, 마지막 페이지면 null)
+// limit + 1개만 읽음 (한 개 더 읽은 캔들의 timestamp가 next_from)
+function runCandleQuery(plan) {
+  const settings = { market_type: plan.market, symbol: plan.symbol, timeframe: plan.timeframe, startDate: plan.from, endDate: plan.to };
+  let candles;
+
+  if (!plan.base) {
+    candles = loadCandles(settings, plan.limit + 1);
+  } else {
+    // 첫 구간 시작부터 읽어서 집계한 뒤 [from, to] 구간만
+    // 원본은 limit + 3 구간 분량까지만 (from 앞의 첫 구간 / 중간에 잘린 마지막 구간을 버려도 limit + 1개)
+    const target = parseTimeframe(plan.timeframe);
+    const base = parseTimeframe(plan.base);
+    const perBucket = base.unit === 'M'
+      ? target.count / base.count
+      : Math.ceil((target.unit === 'M' ? MAX_BUCKET_MS * target.count : intervalMs(target)) / intervalMs(base));
+    const baseCandles = loadCandles({
+      ...settings,
+      timeframe: plan.base,
+      startDate: bucketStart(plan.from, target),
+      endDate: Math.min(plan.to + MAX_BUCKET_MS, MAX_TIMESTAMP)
+    }, (plan.limit + 3) * perBucket);
+    candles = convertTimeframe(baseCandles, plan.timeframe).filter(c => c.timestamp >= plan.from && c.timestamp <= plan.to);
+  }
+
+  const page = candles.slice(0, plan.limit);
+  return { candles: page, next_from: candles.length > plan.limit ? candles[plan.limit].timestamp : null };
+}
+
+// 응답 본문 → { contentType, body }
+function formatCandleQuery(plan, result) {
+  if (plan.format === 'csv') {
+    const rows = result.candles.map(c => `${c.timestamp},${c.open},${c.high},${c.low},${c.close},${c.volume}`);
+    return { contentType: 'text/csv; charset=utf-8', body: ['timestamp,open,high,low,close,volume', ...rows].join('\n') + '\n' };
+  }
+
+  return {
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify({
+      market: plan.market,
+      symbol: plan.symbol,
+      timeframe: plan.timeframe,
+      source: plan.source,
+      from: plan.from,
+      to: plan.to,
+      limit: plan.limit,
+      count: result.candles.length,
+      next_from: result.next_from,
+      candles: result.candles
+    })
+  };
+}
+
+module.exports = { QUERY_FORMATS, isCandleQuery, resolveCandleQuery, candleQueryEtag, runCandleQuery, formatCandleQuery };
@@ -0,0 +1,315 @@
+const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, workerData, parentPort } = require('worker_threads');
+const engine = require('./engine');
+
+// 백테스트 1회당 실행 한도 (환경변수로 조정)
+const BACKTEST_TIMEOUT_MS = parseInt(process.env.BACKTEST_TIMEOUT_MS) || 60000;
+const BACKTEST_MAX_HEAP_MB = parseInt(process.env.BACKTEST_MAX_HEAP_MB) || 512;
+const PROGRESS_INTERVAL_MS = 500;
+const MAX_STREAMED_POINTS = 1000;
+
+// 지표/체결 엔진 소스를 컨텍스트 안에서 다시 평가 → 전략 코드가 서버 쪽 함수/객체에 닿지 않음
+// (CommonJS 모듈 하나를 module.exports만 돌려주는 IIFE로 감쌈)
+function moduleSource(file) {
+  const source = fs.readFileSync(path.join(__dirname, file), 'utf-8');
+  return `(function (module) {\n${source}\n  return module.exports;\n})({ exports: {} })`;
+}
+
+const INDICATORS_SOURCE = moduleSource('indicators.js');
+const ENGINE_SOURCE = moduleSource('engine.js');
+const TIMEFRAMES_SOURCE = moduleSource('timeframes.js');
+
+// 컨텍스트 초기화 스크립트
+// - 캔들/설정을 컨텍스트 realm 객체로 복사
+// - 지표 함수 + communitySettings 키를 전역으로 노출 (기존 커뮤니티 코드 호환성)
+// - candles 배열은 Proxy로 감싸서 마지막으로 읽은 인덱스를 progress 버퍼에 기록
+// - reportProgress(i, equityPoint): 전략이 직접 진행 상황/부분 자산곡선을 보고 (SSE 스트리밍용)
+// - simulate: onCandle(ctx) 전략용 체결 엔진 (engine.js), hostPathCandles(1분봉) / lookaheadJson(룩어헤드 검사)은 엔진에만 전달
+// - prepare: 포트폴리오용, 공유 잔고(account)로 시뮬레이션만 만들고 진행은 호스트의 simulatePortfolio가 담당
+const BOOTSTRAP_SOURCE = `(function (hostCandles, settingsJson, hostLog, progressBuffer, hostEquityPoint, hostPathCandles, lookaheadJson) {
+  const indicators = ${INDICATORS_SOURCE};
+  const engine = ${ENGINE_SOURCE};
+  const timeframes = ${TIMEFRAMES_SOURCE};
+  const settings = JSON.parse(settingsJson);
+
+  const copyCandles = (source) => {
+    const copy = new Array(source.length);
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      copy[i] = {
+        timestamp: c.timestamp,
+        open: c.open,
+        high: c.high,
+        low: c.low,
+        close: c.close,
+        volume: c.volume
+      };
+    }
+    return copy;
+  };
+
+  const candles = copyCandles(hostCandles);
+  const pathCandles = hostPathCandles ? copyCandles(hostPathCandles) : null;
+
+  const progress = progressBuffer ? new Int32Array(progressBuffer) : null;
+  const trackedCandles = !progress ? candles : new Proxy(candles, {
+    get(target, prop) {
+      if (typeof prop === 'string') {
+        const idx = +prop;
+        if (idx >= 0) Atomics.store(progress, 0, idx + 1);
+      }
+      return target[prop];
+    }
+  });
+
+  // 호스트 콜백에는 숫자만 넘긴다
+  globalThis.reportProgress = function reportProgress(index, point) {
+    if (progress) Atomics.store(progress, 1, (index | 0) + 1);
+    if (hostEquityPoint && point && typeof point === 'object') {
+      hostEquityPoint(index | 0, +point.timestamp, +point.balance, +point.equity, +point.drawdown);
+    }
+  };
+
+  for (const key of Object.keys(indicators)) {
+    if (typeof indicators[key] === 'function') {
+      globalThis[key] = indicators[key].bind(indicators);
+    }
+  }
+  for (const key of Object.keys(settings)) {
+    globalThis[key] = settings[key];
+  }
+
+  const format = (args) => args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ');
+  globalThis.indicators = indicators;
+  globalThis.console = {
+    log: (...args) => hostLog('log', format(args)),
+    warn: (...args) => hostLog('warn', format(args)),
+    error: (...args) => hostLog('error', format(args))
+  };
+
+  const env = {
+    indicators,
+    reportProgress: globalThis.reportProgress,
+    pathCandles,
+    timeframes,
+    lookahead: lookaheadJson ? JSON.parse(lookaheadJson) : null
+  };
+  const simulate = (strategy) => engine.simulate(trackedCandles, settings, strategy, env);
+  const prepare = (strategy, account) => engine.createSimulation(trackedCandles, settings, strategy, { ...env, account });
+
+  return { candles: trackedCandles, settings, simulate, prepare };
+})`;
+
+function strategyLog(level, message) {
+  const line = '🧪 [strategy] ' + String(message).substring(0, 1000);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+// 새 vm 컨텍스트에 부트스트랩 + 전략 코드 로드 → { context, sandboxed }
+function loadStrategy(jsCode, candles, settings, runtime) {
+  // null 프로토타입: 전역 객체에서 호스트 Object/Function으로 거슬러 올라가지 못하게
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false }
+  });
+
+  const bootstrap = vm.runInContext(BOOTSTRAP_SOURCE, context, { filename: 'bootstrap.js' });
+  const sandboxed = bootstrap(candles, JSON.stringify(settings), strategyLog, runtime.progressBuffer, runtime.onEquityPoint, runtime.pathCandles,
+    runtime.lookahead ? JSON.stringify(runtime.lookahead) : null);
+
+  vm.runInContext(jsCode, context, { filename: 'strategy.js' });
+  return { context, sandboxed };
+}
+
+// 전략 코드를 격리된 vm 컨텍스트에서 실행
+// 컨텍스트는 실행마다 새로 만들고 버리므로 요청 간 상태가 남지 않는다
+// runtime: { progressBuffer, onEquityPoint } (워커에서 실행할 때만 사용), { pathCandles } (intrabarFills용 1분봉), { lookahead } (룩어헤드 검사)
+function runStrategyInSandbox(jsCode, candles, settings, runtime = {}) {
+  const { context, sandboxed } = loadStrategy(jsCode, candles, settings, runtime);
+
+  // 신규 계약: onCandle(ctx) → 체결/수수료/자산곡선은 프록시 엔진이 처리
+  // 기존 계약: runStrategy(candles, settings) → 전략이 전부 직접 계산 (레거시)
+  let result;
+  if (typeof context.onCandle === 'function') {
+    result = sandboxed.simulate({ onCandle: context.onCandle, init: context.init });
+  } else if (typeof context.runStrategy === 'function') {
+    result = context.runStrategy(sandboxed.candles, sandboxed.settings);
+  } else {
+    throw new Error('onCandle or runStrategy function not found in strategy code');
+  }
+
+  // 컨텍스트 객체를 평범한 JSON 데이터로 분리 (함수/프로토타입 제거)
+  return result === undefined ? result : JSON.parse(JSON.stringify(result));
+}
+
+// 포트폴리오: 종목마다 컨텍스트를 따로 만들고 공유 잔고 하나로 시각 순서대로 진행
+// legs: [{ jsCode, candles, settings, pathCandles }], runtime: { progressBuffer } ([1]에 처리한 캔들 수 합계)
+// onCandle 전략만 가능 (runStrategy는 잔고를 직접 계산하므로 공유할 수 없음)
+function runPortfolioInSandbox(legs, initialBalance, runtime = {}) {
+  const account = engine.createAccount(initialBalance);
+  const progress = runtime.progressBuffer ? new Int32Array(runtime.progressBuffer) : null;
+
+  const simulations = legs.map((leg) => {
+    const { context, sandboxed } = loadStrategy(leg.jsCode, leg.candles, leg.settings, { pathCandles: leg.pathCandles });
+    if (typeof context.onCandle !== 'function') {
+      throw limitError('legacy_strategy', `Shared capital needs an onCandle strategy (${leg.settings.symbol}); use capital_model 'static' for runStrategy`);
+    }
+    return {
+      candles: leg.candles,
+      simulation: sandboxed.prepare({ onCandle: context.onCandle, init: context.init }, account)
+    };
+  });
+
+  const result = engine.simulatePortfolio(simulations, account, (processed) => {
+    if (progress) Atomics.store(progress, 1, processed);
+  });
+
+  return JSON.parse(JSON.stringify(result));
+}
+
+function limitError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+// 전략을 별도 워커 스레드에서 실행 (시간/힙 한도 적용)
+// 무한루프나 메모리 폭주가 있어도 메인 이벤트 루프는 계속 다른 요청을 처리한다
+// options: { timeoutMs, maxHeapMb, onProgress, pathCandles, lookahead }
+function runStrategyIsolated(jsCode, candles, settings, options = {}) {
+  return runInWorker({ kind: 'strategy', jsCode, candles, settings, pathCandles: options.pathCandles || null, lookahead: options.lookahead || null },
+    candles.length, options);
+}
+
+// 포트폴리오(공유 잔고)를 워커에서 실행, 한도는 전체 종목 합계에 적용
+// legs: [{ jsCode, candles, settings, pathCandles }], options: { timeoutMs, maxHeapMb, onProgress }
+function runPortfolioIsolated(legs, initialBalance, options = {}) {
+  const totalCandles = legs.reduce((sum, leg) => sum + leg.candles.length, 0);
+  return runInWorker({ kind: 'portfolio', legs, initialBalance }, totalCandles, options);
+}
+
+// data: workerData (kind별), totalCandles: 진행률/한도 초과 보고용 전체 캔들 수
+function runInWorker(data, totalCandles, options) {
+  const timeoutMs = options.timeoutMs || BACKTEST_TIMEOUT_MS;
+  const maxHeapMb = options.maxHeapMb || BACKTEST_MAX_HEAP_MB;
+  // [0] 마지막으로 읽은 캔들 인덱스, [1] reportProgress로 보고된 인덱스
+  const progressBuffer = new SharedArrayBuffer(8);
+  const progress = new Int32Array(progressBuffer);
+  let pendingPoints = [];
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    // env: {} → 워커에는 ANTHROPIC_API_KEY 등 환경변수가 복사되지 않음
+    const worker = new Worker(__filename, {
+      workerData: { ...data, progressBuffer },
+      env: {},
+      resourceLimits: { maxOldGenerationSizeMb: maxHeapMb }
+    });
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearInterval(progressTimer);
+      worker.terminate();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    // 전략이 직접 보고한 값이 있으면 그쪽을 우선
+    const processed = () => Math.min(Atomics.load(progress, 1) || Atomics.load(progress, 0), totalCandles);
+
+    // 진행 상황 폴링 (워커가 루프에 묶여 있어도 공유 버퍼는 읽을 수 있음)
+    const progressTimer = options.onProgress && setInterval(() => {
+      const equityPoints = pendingPoints;
+      pendingPoints = [];
+      options.onProgress({ candles_processed: processed(), total_candles: totalCandles, equity_points: equityPoints });
+    }, PROGRESS_INTERVAL_MS);
+
+    const timer = setTimeout(() => {
+      finish(limitError('timeout', `Strategy exceeded time limit of ${timeoutMs}ms`, {
+        limit_ms: timeoutMs,
+        candles_processed: processed(),
+        total_candles: totalCandles
+      }));
+    }, timeoutMs);
+
+    worker.on('message', (message) => {
+      if (message.points) {
+        pendingPoints.push(...message.points);
+      } else if (message.error) {
+        const error = new Error(message.error.message);
+        error.stack = message.error.stack;
+        if (message.error.code) error.code = message.error.code;
+        finish(error);
+      } else {
+        finish(null, message.result);
+      }
+    });
+
+    worker.on('error', (error) => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        finish(limitError('out_of_memory', `Strategy exceeded heap limit of ${maxHeapMb}MB`, {
+          limit_mb: maxHeapMb,
+          candles_processed: processed(),
+          total_candles: totalCandles
+        }));
+      } else {
+        finish(error);
+      }
+    });
+
+    worker.on('exit', (code) => {
+      finish(new Error(`Strategy worker exited unexpectedly (code ${code})`));
+    });
+  });
+}
+
+// 워커 스레드 진입점
+if (!isMainThread && workerData && workerData.kind === 'strategy') {
+  try {
+    const { jsCode, candles, settings, progressBuffer, pathCandles, lookahead } = workerData;
+
+    // 부분 자산곡선: 전체 기간에서 최대 MAX_STREAMED_POINTS개만 골라 묶어서 전송
+    const minStep = Math.max(1, Math.floor(candles.length / MAX_STREAMED_POINTS));
+    let lastIndex = -Infinity;
+    let batch = [];
+    let lastFlush = Date.now();
+
+    const flush = () => {
+      if (batch.length === 0) return;
+      parentPort.postMessage({ points: batch });
+      batch = [];
+      lastFlush = Date.now();
+    };
+
+    const onEquityPoint = (index, timestamp, balance, equity, drawdown) => {
+      if (index - lastIndex < minStep) return;
+      lastIndex = index;
+      batch.push({ index, timestamp, balance, equity, drawdown });
+      if (Date.now() - lastFlush >= PROGRESS_INTERVAL_MS) flush();
+    };
+
+    const result = runStrategyInSandbox(jsCode, candles, settings, { progressBuffer, onEquityPoint, pathCandles, lookahead });
+    flush();
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack } });
+  }
+}
+
+if (!isMainThread && workerData && workerData.kind === 'portfolio') {
+  try {
+    const { legs, initialBalance, progressBuffer } = workerData;
+    parentPort.postMessage({ result: runPortfolioInSandbox(legs, initialBalance, { progressBuffer }) });
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, stack: error.stack, code: error.code } });
+  }
+}
+
+module.exports = { runStrategyInSandbox, runStrategyIsolated, runPortfolioInSandbox, runPortfolioIsolated, BACKTEST_TIMEOUT_MS, BACKTEST_MAX_HEAP_MB };
@@ -0,0 +1,113 @@
+// 타임프레임 파싱/집계 (순수 함수)
+// engine.js처럼 샌드박스 안에서 소스째로 다시 평가되므로 require 없이 작성할 것
+
+const MINUTE_MS = 60 * 1000;
+const UNIT_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS, w: 7 * 24 * 60 * MINUTE_MS };
+// 1970-01-01은 목요일 → 첫 월요일(1970-01-05)까지 4일
+const MONDAY_OFFSET_MS = 4 * UNIT_MS.d;
+
+// '15m' / '2h' / '3d' / '1w' / '1M' → { count, unit } (M = 월, m = 분)
+function parseTimeframe(timeframe) {
+  const match = /^(\d+)(m|h|d|w|M)$/.exec(String(timeframe || ''));
+  if (!match) return null;
+
+  const count = parseInt(match[1]);
+  if (count <= 0) return null;
+  return { count, unit: match[2] };
+}
+
+// 캔들이 속한 구간의 시작 시각 (UTC)
+// 분/시/일: epoch 기준, 주: 월요일 00:00, 월: 매월 1일 00:00
+function bucketStart(timestamp, tf) {
+  if (tf.unit === 'M') {
+    const date = new Date(timestamp);
+    const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+    const start = months - months % tf.count;
+    return Date.UTC(Math.floor(start / 12), start % 12, 1);
+  }
+
+  const size = UNIT_MS[tf.unit] * tf.count;
+  if (tf.unit === 'w') {
+    return Math.floor((timestamp - MONDAY_OFFSET_MS) / size) * size + MONDAY_OFFSET_MS;
+  }
+  return Math.floor(timestamp / size) * size;
+}
+
+// 타임프레임 변환 함수 (1분봉 → 상위 타임프레임)
+function convertTimeframe(candles, timeframe) {
+  if (timeframe === '1m') return candles;
+
+  const tf = parseTimeframe(timeframe);
+  if (!tf) throw new Error(`Unsupported timeframe: ${timeframe}`);
+
+  const result = [];
+  let current = null;
+
+  for (const candle of candles) {
+    const start = bucketStart(candle.timestamp, tf);
+
+    if (!current || current.timestamp !== start) {
+      current = {
+        timestamp: start,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume
+      };
+      result.push(current);
+      continue;
+    }
+
+    current.high = Math.max(current.high, candle.high);
+    current.low = Math.min(current.low, candle.low);
+    current.close = candle.close;
+    current.volume += candle.volume;
+  }
+
+  return result;
+}
+
+// 멀티 타임프레임 시리즈 (룩어헤드 없음)
+// 지금까지의 기본 캔들을 convertTimeframe으로 집계한 뒤, update(candle)로 기본 캔들이 닫힐 때마다 갱신
+// 마지막 원소는 아직 만들어지는 봉 (현재 캔들까지만 반영, MQL의 shift 0)
+function createSeries(timeframe, initialCandles) {
+  const tf = parseTimeframe(timeframe);
+  if (!tf) throw new Error(`Unsupported timeframe: ${timeframe}`);
+
+  const series = { timeframe, candles: [], opens: [], highs: [], lows: [], closes: [], volumes: [] };
+
+  const push = (bar) => {
+    series.candles.push({ ...bar });
+    series.opens.push(bar.open);
+    series.highs.push(bar.high);
+    series.lows.push(bar.low);
+    series.closes.push(bar.close);
+    series.volumes.push(bar.volume);
+  };
+
+  series.update = function update(candle) {
+    const start = bucketStart(candle.timestamp, tf);
+    const last = series.candles.length - 1;
+
+    if (last < 0 || series.candles[last].timestamp !== start) {
+      push({ ...candle, timestamp: start });
+      return;
+    }
+
+    const bar = series.candles[last];
+    bar.high = Math.max(bar.high, candle.high);
+    bar.low = Math.min(bar.low, candle.low);
+    bar.close = candle.close;
+    bar.volume += candle.volume;
+    series.highs[last] = bar.high;
+    series.lows[last] = bar.low;
+    series.closes[last] = bar.close;
+    series.volumes[last] = bar.volume;
+  };
+
+  convertTimeframe(initialCandles || [], timeframe).forEach(push);
+  return series;
+}
+
+module.exports = { UNIT_MS, parseTimeframe, bucketStart, convertTimeframe, createSeries };
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { httpError } = require('./errors');
+const { DATA_PATH, writeCandleFile, binaryFilePath, convertCsvToBinary, seriesModifiedAt, readCandleSeries } = require('./candles');
+const { invalidateCandleCache } = require('./cache');
+const { FORMATS, detectFormat, normalizeCandleLines, normalizeCandleData } = require('./formats');
+const {
+  REPAIR_MODES, MAX_EXAMPLES, expectedInterval, createCsvInspector, findGaps, forwardFill, saveQualityReport
+} = require('./quality');
+
+// 캔들 업로드 저장 + 분할(청크) 업로드 세션
+// mode: 'replace'(기본, 파일 덮어씀) | 'append'(기존 시리즈에 timestamp 기준으로 병합, 겹치면 새 값 우선)
+// 분할 업로드: 세션 생성 → 청크를 순서 상관없이 전송 (실패한 것만 다시) → complete 때 이어붙여서 한 번에 저장
+const UPLOAD_MODES = ['replace', 'append'];
+const UPLOAD_PATH = path.join(DATA_PATH, '.uploads');
+// 마지막 청크 이후 이 시간이 지난 세션은 삭제
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const MAX_UPLOAD_CHUNKS = 10000;
+// complete 때 바꿀 수 있는 옵션 (저장 위치는 세션 생성 때 고정)
+const RETRY_OPTIONS = ['mode', 'repair', 'format', 'columns', 'delimiter', 'timezone', 'time_unit'];
+const READ_CHUNK_BYTES = 1024 * 1024;
+// 저장 경로에 들어가는 값 (../ 등 경로 조작 방지)
+const PATH_SEGMENT = /^[A-Za-z0-9_-]+$/;
+// 그대로 저장할 때 한 번에 쓰는 줄 수
+const WRITE_BATCH_LINES = 10000;
+
+// 요청 body에서 업로드 옵션만 추림 + 검사
+function uploadOptions(body) {
+  const options = {
+    market_type: body.market_type,
+    symbol: body.symbol,
+    mode: body.mode || 'replace',
+    repair: body.repair || 'none',
+    format: body.format || 'auto',
+    columns: body.columns,
+    delimiter: body.delimiter,
+    timezone: body.timezone,
+    time_unit: body.time_unit
+  };
+
+  if (!options.market_type || !options.symbol) throw httpError(400, 'Missing required fields');
+  for (const field of ['market_type', 'symbol']) {
+    if (typeof options[field] !== 'string' || !PATH_SEGMENT.test(options[field])) {
+      throw httpError(400, `Invalid ${field}: only letters, digits, _ and - are allowed`);
+    }
+  }
+  if (!UPLOAD_MODES.includes(options.mode)) throw httpError(400, `Unknown upload mode: ${options.mode}`, { modes: UPLOAD_MODES });
+  if (!REPAIR_MODES.includes(options.repair)) throw httpError(400, `Unknown repair mode: ${options.repair}`);
+  if (!FORMATS.includes(options.format)) throw httpError(400, `Unknown format: ${options.format}`, { formats: FORMATS });
+  return options;
+}
+
+// 기존 + 새 캔들 병합 (둘 다 시간순, 같은 timestamp면 새 캔들)
+function mergeCandles(existing, incoming) {
+  const byTime = new Map(existing.map(c => [c.timestamp, c]));
+  let replaced = 0;
+  for (const candle of incoming) {
+    if (byTime.has(candle.timestamp)) replaced++;
+    byTime.set(candle.timestamp, candle);
+  }
+  const candles = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  return { candles, replaced, added: incoming.length - replaced };
+}
+
+// 변환된 줄을 파일에 나눠서 씀 (전체를 문자열 하나로 만들지 않음)
+function createLineWriter(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, 'w');
+  let pending = [];
+  let bytes = 0;
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    const text = pending.join('\n') + '\n';
+    bytes += fs.writeSync(fd, text, null, 'utf-8');
+    pending = [];
+  };
+
+  return {
+    write(line) {
+      pending.push(line);
+      if (pending.length >= WRITE_BATCH_LINES) flush();
+    },
+    close() {
+      flush();
+      fs.closeSync(fd);
+      return bytes;
+    }
+  };
+}
+
+// 업로드 데이터 변환 → 검사 → 저장 (+ .bin, 캐시 무효화, 품질 리포트)
+// raw: 텍스트 또는 JSON 배열, options: uploadOptions()
+function storeCandleUpload(raw, options) {
+  return storeCandleLines(onLine => {
+    const { csvText, info } = normalizeCandleData(raw, options);
+    csvText.split('\n').forEach(onLine);
+    return info;
+  }, options);
+}
+
+// feed(onLine): 저장 포맷 줄(헤더부터)을 onLine에 넘기고 변환 info를 반환
+// 줄 단위로 검사하고, 그대로 저장(replace + repair none)이면 임시 파일에 바로 씀
+function storeCandleLines(feed, options) {
+  const { market_type, symbol, mode, repair } = options;
+  const filePath = path.join(DATA_PATH, market_type, `${symbol}.csv`);
+  const tempPath = `${filePath}.upload`;
+
+  const inspector = createCsvInspector(symbol, repair);
+  const writer = mode === 'replace' && repair === 'none' ? createLineWriter(tempPath) : null;
+  let info;
+  try {
+    info = feed(line => {
+      inspector.push(line);
+      if (writer) writer.write(line);
+    });
+  } catch (error) {
+    if (writer) {
+      writer.close();
+      fs.rmSync(tempPath, { force: true });
+    }
+    throw error;
+  }
+  const bytes = writer ? writer.close() : 0;
+  console.log(`📡 Import ${symbol}: ${info.format} format, time ${info.time_units.join('/') || '-'} (${info.timezone})`);
+
+  const { report, candles, valid } = inspector.finish();
+  console.log(`📊 Quality ${symbol}: ${report.valid_rows} rows, ${report.bad_rows} bad, ${report.duplicates} duplicates, ${report.gaps} gaps`);
+
+  if (report.valid_rows === 0 || (repair === 'reject' && report.issues > 0)) {
+    if (writer) fs.rmSync(tempPath, { force: true });
+    throw httpError(422, report.valid_rows === 0 ? 'No valid candle rows' : 'Candle data failed validation', { import: info, quality: report });
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (mode === 'append') {
+    // 불량 행은 병합하지 않음 → 저장되는 시리즈에는 정렬/중복 문제 없음, 갭만 다시 검사
+    const existing = seriesModifiedAt(filePath) !== null ? readCandleSeries(filePath) : [];
+    const merged = mergeCandles(existing, candles || valid);
+    const interval = report.interval_ms || expectedInterval(symbol, merged.candles.map(c => c.timestamp));
+    const series = repair === 'forward_fill' && interval ? forwardFill(merged.candles, interval) : merged.candles;
+    const { gaps, missingBars } = findGaps(series.map(c => c.timestamp), interval);
+
+    report.merge = {
+      existing_rows: existing.length,
+      uploaded_rows: (candles || valid).length,
+      added: merged.added,
+      replaced: merged.replaced,
+      filled_bars: series.length - merged.candles.length,
+      total_rows: series.length,
+      gaps: gaps.length,
+      missing_bars: missingBars,
+      gap_examples: gaps.slice(0, MAX_EXAMPLES)
+    };
+    report.stored_rows = series.length;
+    report.health = gaps.length > 0 ? 'warning' : 'ok';
+
+    writeCandleFile(filePath, series);
+    console.log(`✅ Appended: ${market_type}/${symbol}.csv (+${merged.added} new, ${merged.replaced} replaced, ${series.length} total)`);
+  } else {
+    // 복구했으면 정리된 캔들로, 아니면 변환된 줄 그대로 (임시 파일)
+    if (candles) {
+      writeCandleFile(filePath, candles);
+    } else {
+      fs.renameSync(tempPath, filePath);
+    }
+    console.log(`✅ Uploaded: ${market_type}/${symbol}.csv (${candles ? candles.length + ' rows' : bytes + ' bytes'})`);
+  }
+
+  // 백테스트 로더용 바이너리 (.bin)도 같이 저장, CSV는 교환용으로 유지
+  const rows = convertCsvToBinary(filePath);
+  invalidateCandleCache(market_type, symbol);
+  if (rows > 0) {
+    console.log(`✅ Binary written: ${market_type}/${symbol}.bin (${rows} rows)`);
+  }
+
+  // 저장된 줄 수 = 백테스트가 읽는 .bin 기준 (timestamp 중복 제거 후)
+  report.stored_rows = rows;
+  saveQualityReport(market_type, symbol, report);
+
+  return {
+    success: true,
+    message: `Uploaded ${symbol}`,
+    mode,
+    path: filePath,
+    binary_path: rows > 0 ? binaryFilePath(filePath) : null,
+    rows,
+    import: info,
+    quality: report
+  };
+}
+
+// ========== 분할 업로드 세션 ==========
+// .uploads/<upload_id>/session.json + 청크별 <index>.part (서버 재시작 후에도 이어서 전송 가능)
+
+function sessionDir(uploadId) {
+  if (!/^[0-9a-f-]{36}$/.test(String(uploadId))) throw httpError(404, 'Upload session not found');
+  return path.join(UPLOAD_PATH, uploadId);
+}
+
+function loadSession(uploadId) {
+  const file = path.join(sessionDir(uploadId), 'session.json');
+  if (!fs.existsSync(file)) throw httpError(404, 'Upload session not found');
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function saveSession(session) {
+  fs.writeFileSync(path.join(sessionDir(session.upload_id), 'session.json'), JSON.stringify(session), 'utf-8');
+}
+
+function receivedChunks(uploadId) {
+  return fs.readdirSync(sessionDir(uploadId))
+    .filter(file => file.endsWith('.part'))
+    .map(file => parseInt(file))
+    .sort((a, b) => a - b);
+}
+
+// 받은 청크 / 빠진 청크 (total_chunks를 모르면 0..마지막으로 받은 번호 사이의 빈 번호)
+function sessionStatus(session) {
+  const received = receivedChunks(session.upload_id);
+  const total = session.total_chunks || (received.length ? received[received.length - 1] + 1 : 0);
+  const have = new Set(received);
+  const missing = [];
+  for (let i = 0; i < total; i++) {
+    if (!have.has(i)) missing.push(i);
+  }
+
+  return {
+    upload_id: session.upload_id,
+    market_type: session.options.market_type,
+    symbol: session.options.symbol,
+    mode: session.options.mode,
+    total_chunks: session.total_chunks,
+    received,
+    missing,
+    bytes: session.bytes,
+    complete: total > 0 && missing.length === 0,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+    expires_at: session.updated_at + UPLOAD_SESSION_TTL_MS
+  };
+}
+
+function removeSession(uploadId) {
+  fs.rmSync(sessionDir(uploadId), { recursive: true, force: true });
+}
+
+function cleanupUploadSessions() {
+  if (!fs.existsSync(UPLOAD_PATH)) return;
+  const now = Date.now();
+
+  for (const uploadId of fs.readdirSync(UPLOAD_PATH)) {
+    try {
+      const session = loadSession(uploadId);
+      if (now - session.updated_at > UPLOAD_SESSION_TTL_MS) {
+        removeSession(uploadId);
+        console.log('🔵 Upload session expired:', uploadId);
+      }
+    } catch (error) {
+      // session.json이 없는 디렉토리 (생성 도중 중단 등)
+      fs.rmSync(path.join(UPLOAD_PATH, uploadId), { recursive: true, force: true });
+    }
+  }
+}
+
+// body: 업로드 옵션 (market_type, symbol, mode, repair, format, ...) + total_chunks(선택)
+function createUploadSession(body) {
+  const options = uploadOptions(body);
+  const totalChunks = body.total_chunks === undefined ? null : Number(body.total_chunks);
+  if (totalChunks !== null && !(Number.isInteger(totalChunks) && totalChunks > 0 && totalChunks <= MAX_UPLOAD_CHUNKS)) {
+    throw httpError(400, `total_chunks must be an integer between 1 and ${MAX_UPLOAD_CHUNKS}`);
+  }
+
+  cleanupUploadSessions();
+
+  const now = Date.now();
+  const session = {
+    upload_id: crypto.randomUUID(),
+    options,
+    total_chunks: totalChunks,
+    bytes: 0,
+    created_at: now,
+    updated_at: now
+  };
+  fs.mkdirSync(sessionDir(session.upload_id), { recursive: true });
+  saveSession(session);
+
+  console.log(`🔵 Upload session ${session.upload_id}: ${options.market_type}/${options.symbol} (${options.mode})`);
+  return sessionStatus(session);
+}
+
+// 같은 번호를 다시 보내면 덮어씀 (재전송)
+// 청크 경계는 아무 데나 잘라도 됨 (complete 때 순서대로 이어붙임)
+function saveUploadChunk(uploadId, index, text) {
+  const session = loadSession(uploadId);
+  const chunkIndex = Number(index);
+  const limit = session.total_chunks || MAX_UPLOAD_CHUNKS;
+
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= limit) {
+    throw httpError(400, `Chunk index must be an integer between 0 and ${limit - 1}`);
+  }
+  if (typeof text !== 'string' || text.length === 0) {
+    throw httpError(400, 'Chunk body must be non-empty text (text/plain or { "data": "..." })');
+  }
+
+  const chunkPath = path.join(sessionDir(uploadId), `${chunkIndex}.part`);
+  const previous = fs.existsSync(chunkPath) ? fs.statSync(chunkPath).size : 0;
+  fs.writeFileSync(chunkPath, text, 'utf-8');
+
+  session.bytes += fs.statSync(chunkPath).size - previous;
+  session.updated_at = Date.now();
+  saveSession(session);
+  return sessionStatus(session);
+}
+
+function uploadSessionStatus(uploadId) {
+  return sessionStatus(loadSession(uploadId));
+}
+
+// 청크 파일을 순서대로 읽어서 줄 단위로 넘김 (청크 경계에서 잘린 줄 / UTF-8 글자는 이어붙임)
+function scanSessionLines(uploadId, chunks, onLine) {
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let carry = '';
+
+  for (const index of chunks) {
+    const fd = fs.openSync(path.join(sessionDir(uploadId), `${index}.part`), 'r');
+    try {
+      let bytes;
+      while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        const lines = (carry + decoder.write(buffer.subarray(0, bytes))).split('\n');
+        carry = lines.pop();
+        lines.forEach(line => onLine(line.replace(/\r$/, '')));
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  carry += decoder.end();
+  if (carry) onLine(carry.replace(/\r$/, ''));
+}
+
+// 첫 청크 앞부분이 JSON인지 (JSON은 전체를 한 번에 파싱해야 함)
+function isJsonSession(uploadId, chunks, options) {
+  if (options.format !== 'auto') return options.format === 'json';
+  const fd = fs.openSync(path.join(sessionDir(uploadId), `${chunks[0]}.part`), 'r');
+  try {
+    const head = Buffer.alloc(1024);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    return detectFormat(head.toString('utf-8', 0, bytes)) === 'json';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// 청크가 다 모이면 순서대로 줄 단위로 읽어서 저장 (파일 크기가 문자열 한도를 넘어도 됨), 성공하면 세션 삭제
+// JSON 포맷만 이어붙여서 한 번에 파싱
+// 검사 실패(422)면 세션을 남겨둠 → 옵션(repair 등)을 바꿔서 complete 다시 호출 가능
+function completeUploadSession(uploadId, overrides = {}) {
+  const session = loadSession(uploadId);
+  const status = sessionStatus(session);
+  if (!status.complete) {
+    throw httpError(409, 'Upload is missing chunks', { missing: status.missing, received: status.received });
+  }
+
+  const changed = Object.fromEntries(Object.entries(overrides).filter(([key, value]) => RETRY_OPTIONS.includes(key) && value !== undefined));
+  const options = uploadOptions({ ...session.options, ...changed });
+  let result;
+  if (isJsonSession(uploadId, status.received, options)) {
+    const raw = status.received
+      .map(index => fs.readFileSync(path.join(sessionDir(uploadId), `${index}.part`), 'utf-8'))
+      .join('');
+    result = storeCandleUpload(raw, options);
+  } else {
+    result = storeCandleLines(onLine => normalizeCandleLines(each => scanSessionLines(uploadId, status.received, each), options, onLine), options);
+  }
+  removeSession(uploadId);
+  return { ...result, upload_id: uploadId, chunks: status.received.length, bytes: session.bytes };
+}
+
+function abortUploadSession(uploadId) {
+  loadSession(uploadId);
+  removeSession(uploadId);
+}
+
+module.exports = {
+  UPLOAD_MODES,
+  uploadOptions,
+  storeCandleUpload,
+  createUploadSession,
+  saveUploadChunk,
+  uploadSessionStatus,
+  completeUploadSession,
+  abortUploadSession
+};